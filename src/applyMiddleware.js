@@ -1,6 +1,7 @@
 // Redux中间件api
 
 import compose from './compose'
+import isPromise from './utils/isPromise'
 
 /**
  * Creates a store enhancer that applies middleware to the dispatch method
@@ -10,8 +11,9 @@ import compose from './compose'
  * 这对于很多任务都是非常容易的, 比如用简单的方式表示(expressing))异步的actions, 或者
  * 记录每个action的荷载.
  *
- * See `redux-thunk` package as an example of the Redux middleware.
- * 你可以看`redux-thunk`作为Redux中间件(middleware)的例子
+ * See the built-in `thunk` and `promise` middleware as examples of the Redux
+ * middleware.
+ * 你可以看内置的`thunk`与`promise`作为Redux中间件(middleware)的例子
  *
  * Because middleware is potentially asynchronous, this should be the first
  * store enhancer in the composition chain.
@@ -22,6 +24,14 @@ import compose from './compose'
  * as named arguments.
  * 注意每个中间件都会被给予dispatch与getState函数作为命名的参数.
  *
+ * Whenever a dispatch through the middleware chain returns a Promise, it is
+ * tracked until it settles, and `store.whenIdle()` returns a Promise that
+ * resolves once no tracked work is left. This lets a server wait for every
+ * thunk or promise action before rendering.
+ * 每当经过中间件链的dispatch返回一个Promise时, 它会被追踪直到完成,
+ * `store.whenIdle()`返回一个在没有被追踪的工作剩余时resolve的Promise. 这使得服务器
+ * 能够在渲染之前等待所有的thunk或promise action.
+ *
  * @param {...Function} middlewares The middleware chain to be applied.
  * 将被使用的middleware chain
  * @returns {Function} A store enhancer applying the middleware.
@@ -31,6 +41,29 @@ export default function applyMiddleware(...middlewares) { // 返回强化后的s
   return createStore => (...args) => {
     const store = createStore(...args)
 
+    let pendingWork = []
+
+    // 追踪dispatch返回的Promise, 直到它完成
+    function trackAsyncWork(result) {
+      if (isPromise(result)) {
+        const work = Promise.resolve(result).then(() => {}, () => {})
+        pendingWork = pendingWork.concat(work)
+        work.then(() => {
+          pendingWork = pendingWork.filter(w => w !== work)
+        })
+      }
+      return result
+    }
+
+    // 等待的工作完成后可能又产生了新的工作, 所以需要再次检查
+    function whenIdle() {
+      if (pendingWork.length === 0) {
+        return Promise.resolve()
+      }
+
+      return Promise.all(pendingWork).then(whenIdle)
+    }
+
     // 在使用middlewares的时候调用dispatch抛出错误
     let dispatch = () => {
       throw new Error(
@@ -55,12 +88,23 @@ export default function applyMiddleware(...middlewares) { // 返回强化后的s
      * 主要通过reduce，将a: next => action => {}, b: next => action => {}
      * 变为一个函数a(b(c(d(...args))))，d接收store.dispatch作为next参数，d(store.dispatch)作为c的next参数
      */
-    dispatch = compose(...chain)(store.dispatch)
+    const composedDispatch = compose(...chain)(store.dispatch)
+    dispatch = (...args) => trackAsyncWork(composedDispatch(...args))
 
     // 返回生成的store
     return {
       ...store,
-      dispatch
+      dispatch,
+      whenIdle,
+
+      // 批量分发的actions同样需要经过中间件
+      dispatchBatch: actions => {
+        if (!Array.isArray(actions)) {
+          throw new Error('Expected the actions to be an array.')
+        }
+
+        return store.batch(() => actions.map(action => dispatch(action)))
+      }
     }
   }
 }
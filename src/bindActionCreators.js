@@ -1,9 +1,22 @@
 // 辅助函数, 将actionCreator与dispatch绑定
 
+import isPlainObject from './utils/isPlainObject'
+
 function bindActionCreator(actionCreator, dispatch) {
-  return function() {
+  function boundActionCreator() {
     return dispatch(actionCreator.apply(this, arguments))
   }
+
+  // 保留createAction创建的creator的type与match方法
+  if (typeof actionCreator.type !== 'undefined') {
+    boundActionCreator.type = actionCreator.type
+    boundActionCreator.toString = actionCreator.toString
+  }
+  if (typeof actionCreator.match === 'function') {
+    boundActionCreator.match = actionCreator.match
+  }
+
+  return boundActionCreator
 }
 
 /**
@@ -29,6 +42,11 @@ function bindActionCreator(actionCreator, dispatch) {
  * store.
  * 在你Redux store里可以得到的`dispatch`函数.
  *
+ * Action creators made by `createAction` keep their `type` and `match`, and
+ * nested objects of action creators are bound recursively.
+ * `createAction`创建的action creator会保留它们的`type`与`match`, 嵌套的action
+ * creator对象会被递归地绑定.
+ *
  * @returns {Function|Object} The object mimicking the original object, but with
  * every action creator wrapped into the `dispatch` call. If you passed a
  * function as `actionCreators`, the return value will also be a single
@@ -60,6 +78,8 @@ export default function bindActionCreators(actionCreators, dispatch) {
     const actionCreator = actionCreators[key]
     if (typeof actionCreator === 'function') {
       boundActionCreators[key] = bindActionCreator(actionCreator, dispatch)
+    } else if (isPlainObject(actionCreator)) {
+      boundActionCreators[key] = bindActionCreators(actionCreator, dispatch)
     }
   }
   return boundActionCreators
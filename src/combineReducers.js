@@ -3,6 +3,9 @@
 import ActionTypes from './utils/actionTypes'
 import warning from './utils/warning'
 import isPlainObject from './utils/isPlainObject'
+import now from './utils/now'
+import { getActiveProfiler } from './utils/profiler'
+import { getActiveErrorBoundary } from './utils/errorBoundary'
 
 function getUndefinedStateErrorMessage(key, action) {
   const actionType = action && action.type
@@ -119,12 +122,20 @@ function assertReducerShape(reducers) {
  * 相反, 如果给它们传递undefined, 它们应该能够返回它们的初始state, 如果给它们传递传递
  * 不能识别的action, 它们应该能够返现它们现在的state.
  *
+ * @param {Object} [options]
+ * @param {string[]} [options.preservedKeys] State keys that have no reducer
+ * but should be kept as they are instead of being warned about and dropped,
+ * such as slices whose reducers are still being loaded.
+ * 没有对应reducer, 但应该原样保留, 而不是被警告并丢弃的state键, 比如reducer仍在加载
+ * 中的部分.
+ *
  * @returns {Function} A reducer function that invokes every reducer inside the
  * passed object, and builds a state object with the same shape.
  * 一个reducer函数, 它能够触发每个通过传递的对象传递的reducer函数, 并且使用相同的形式
  * 生成state对象.
  */
-export default function combineReducers(reducers) {
+export default function combineReducers(reducers, options = {}) {
+  const { preservedKeys = [] } = options
   const reducerKeys = Object.keys(reducers)
   const finalReducers = {}
   for (let i = 0; i < reducerKeys.length; i++) {
@@ -147,6 +158,11 @@ export default function combineReducers(reducers) {
   let unexpectedKeyCache
   if (process.env.NODE_ENV !== 'production') {
     unexpectedKeyCache = {}
+
+    // 被保留的键不需要警告
+    preservedKeys.forEach(key => {
+      unexpectedKeyCache[key] = true
+    })
   }
 
   let shapeAssertionError
@@ -176,13 +192,38 @@ export default function combineReducers(reducers) {
       }
     }
 
+    // 被profileStore分析时, 记录每个key的reducer所花费的时间
+    const profiler = getActiveProfiler()
+    const errorBoundary = getActiveErrorBoundary()
+
     let hasChanged = false
     const nextState = {}
     for (let i = 0; i < finalReducerKeys.length; i++) {
       const key = finalReducerKeys[i]
       const reducer = finalReducers[key]
       const previousStateForKey = state[key]
-      const nextStateForKey = reducer(previousStateForKey, action)
+      let nextStateForKey
+      try {
+        if (profiler) {
+          const start = now()
+          profiler.enter(key)
+          try {
+            nextStateForKey = reducer(previousStateForKey, action)
+          } finally {
+            profiler.exit(key, now() - start)
+          }
+        } else {
+          nextStateForKey = reducer(previousStateForKey, action)
+        }
+      } catch (error) {
+
+        // 被isolateErrors隔离时, 出错的key保留之前的state, 其他的key不受影响
+        if (!errorBoundary || typeof previousStateForKey === 'undefined') {
+          throw error
+        }
+        errorBoundary.report(error, { phase: 'reducer', key, action })
+        nextStateForKey = previousStateForKey
+      }
       if (typeof nextStateForKey === 'undefined') {
         const errorMessage = getUndefinedStateErrorMessage(key, action)
         throw new Error(errorMessage)
@@ -190,6 +231,18 @@ export default function combineReducers(reducers) {
       nextState[key] = nextStateForKey
       hasChanged = hasChanged || nextStateForKey !== previousStateForKey
     }
+
+    // 原样保留没有reducer的被保留的键
+    for (let i = 0; i < preservedKeys.length; i++) {
+      const key = preservedKeys[i]
+      if (!finalReducers.hasOwnProperty(key) && state.hasOwnProperty(key)) {
+        nextState[key] = state[key]
+      }
+    }
+
+    // 其他没有reducer的键将被丢弃
+    hasChanged =
+      hasChanged || Object.keys(state).length !== Object.keys(nextState).length
     return hasChanged ? nextState : state
   }
 }
@@ -0,0 +1,67 @@
+// 创建action creator的辅助函数, 生成的creator带有type与match方法
+
+/**
+ * Creates an action creator for the given action type. Called with a single
+ * argument, it returns `{ type, payload }`. With a `prepare` callback, the
+ * arguments are passed to it instead, and it must return an object with a
+ * `payload` and optionally `meta` and `error`.
+ * 为给定的action type创建一个action creator. 以单个参数调用时, 它返回
+ * `{ type, payload }`. 如果传入了`prepare`回调, 参数会被传递给它, 它必须返回一个带有
+ * `payload`以及可选的`meta`与`error`的对象.
+ *
+ * The creator has a `type` property, returns the type from `toString()` so it
+ * may be used as an object key, and has a `match(action)` method that tells
+ * whether an action was created by it.
+ * 这个creator拥有`type`属性, 它的`toString()`返回type, 所以可以被用作对象的键, 它还有
+ * 一个用来判断action是否由它创建的`match(action)`方法.
+ *
+ * @param {string} type The action type.
+ * action type
+ *
+ * @param {Function} [prepare] Turns the creator arguments into
+ * `{ payload, meta, error }`.
+ * 将creator的参数转化为`{ payload, meta, error }`
+ *
+ * @returns {Function} An action creator.
+ * 一个action creator
+ */
+export default function createAction(type, prepare) {
+  if (typeof type === 'undefined') {
+    throw new Error(
+      'Action types may not be undefined. Have you misspelled a constant?'
+    )
+  }
+
+  if (typeof prepare !== 'undefined' && typeof prepare !== 'function') {
+    throw new Error('Expected the prepare callback to be a function.')
+  }
+
+  function actionCreator(...args) {
+    if (!prepare) {
+      return { type, payload: args[0] }
+    }
+
+    const prepared = prepare(...args)
+    if (typeof prepared !== 'object' || prepared === null) {
+      throw new Error(
+        `The prepare callback of "${String(type)}" must return an object.`
+      )
+    }
+
+    const action = { type, payload: prepared.payload }
+    if ('meta' in prepared) {
+      action.meta = prepared.meta
+    }
+    if ('error' in prepared) {
+      action.error = prepared.error
+    }
+    return action
+  }
+
+  actionCreator.type = type
+  actionCreator.toString = () => `${String(type)}`
+  actionCreator.match = action =>
+    typeof action === 'object' && action !== null && action.type === type
+
+  return actionCreator
+}
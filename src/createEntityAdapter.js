@@ -0,0 +1,290 @@
+// 为以id为键的记录集合生成规范化(normalized)的state, case reducers与selectors
+
+import createSelector from './createSelector'
+import isPlainObject from './utils/isPlainObject'
+
+const ACTION_KEYS = ['type', 'payload', 'meta', 'error']
+
+// case reducer既可以接收action, 也可以直接接收payload. 只有符合FSA的对象才被当作
+// action, 因为记录本身也可能有`type`字段
+function getPayload(arg) {
+  return isPlainObject(arg) &&
+    typeof arg.type === 'string' &&
+    Object.keys(arg).every(key => ACTION_KEYS.indexOf(key) !== -1)
+    ? arg.payload
+    : arg
+}
+
+function shallowEqual(a, b) {
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return (
+    keysA.length === keysB.length &&
+    keysA.every(key => b.hasOwnProperty(key) && a[key] === b[key])
+  )
+}
+
+function arraysEqual(a, b) {
+  return a.length === b.length && a.every((value, i) => value === b[i])
+}
+
+// entities的键总是字符串, 所以id 1与'1'是同一条记录
+function sameId(a, b) {
+  return String(a) === String(b)
+}
+
+function toArray(entities) {
+  return Array.isArray(entities)
+    ? entities
+    : Object.keys(entities).map(key => entities[key])
+}
+
+/**
+ * Creates an adapter for a collection of records keyed by id, stored as
+ * `{ ids, entities }`: `ids` holds the ids in order, and `entities` maps each
+ * id to its record.
+ * 为以id为键的记录集合创建一个adapter, 集合存储为`{ ids, entities }`: `ids`按顺序保存
+ * id, `entities`将每个id映射到它的记录.
+ *
+ * The adapter has:
+ * adapter有:
+ *
+ * - `getInitialState(extraState)`, returning `{ ids: [], entities: {} }`
+ *   merged with `extraState`.
+ * - Case reducers taking `(state, action)` or `(state, payload)`: `addOne`,
+ *   `addMany`, `setOne`, `setMany`, `setAll`, `updateOne`, `updateMany`,
+ *   `upsertOne`, `upsertMany`, `removeOne`, `removeMany` and `removeAll`.
+ *   Updates are given as `{ id, changes }`. Only a plain object with a
+ *   string `type` and no keys other than `type`, `payload`, `meta` and
+ *   `error` is taken as an action, so records may have a `type` field.
+ * - `getSelectors(selectState)`, returning `selectIds`, `selectEntities`,
+ *   `selectAll`, `selectTotal` and `selectById(state, id)`. Without
+ *   `selectState` they take the collection state itself.
+ * - `getInitialState(extraState)`, 返回与`extraState`合并后的
+ *   `{ ids: [], entities: {} }`.
+ * - 接收`(state, action)`或者`(state, payload)`的case reducers: `addOne`,
+ *   `addMany`, `setOne`, `setMany`, `setAll`, `updateOne`, `updateMany`,
+ *   `upsertOne`, `upsertMany`, `removeOne`, `removeMany`与`removeAll`. 更新以
+ *   `{ id, changes }`的形式给出. 只有`type`为字符串并且只有`type`, `payload`,
+ *   `meta`与`error`键的普通对象才会被当作action, 所以记录可以有`type`字段.
+ * - `getSelectors(selectState)`, 返回`selectIds`, `selectEntities`, `selectAll`,
+ *   `selectTotal`与`selectById(state, id)`. 没有`selectState`时, 它们直接接收集合的
+ *   state.
+ *
+ * The case reducers return the very same state when nothing changed, and keep
+ * the `ids` array and untouched records otherwise, so the `hasChanged` check
+ * in `combineReducers` and memoized selectors stay cheap.
+ * 当没有任何改变时, case reducers会返回完全相同的state, 否则也会保留`ids`数组以及没有
+ * 被修改的记录, 使得`combineReducers`中的`hasChanged`检查以及带有缓存的selectors保持
+ * 高效.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.selectId] Returns the id of a record. Defaults to
+ * `record => record.id`.
+ * 返回记录的id, 默认为`record => record.id`
+ * @param {Function|boolean} [options.sortComparer] Keeps `ids` sorted with this
+ * comparer. Defaults to `false`, which keeps the insertion order.
+ * 使用这个比较函数保持`ids`有序. 默认为`false`, 即保持插入的顺序.
+ *
+ * @returns {Object} An entity adapter.
+ * 一个entity adapter
+ */
+export default function createEntityAdapter(options = {}) {
+  const { selectId = entity => entity.id, sortComparer = false } = options
+
+  if (typeof selectId !== 'function') {
+    throw new Error('Expected selectId to be a function.')
+  }
+
+  if (sortComparer !== false && typeof sortComparer !== 'function') {
+    throw new Error('Expected sortComparer to be a function or false.')
+  }
+
+  // 以写时复制(copy-on-write)的方式修改state, 没有改变时返回原来的state
+  function createOperation(mutate) {
+    return function operation(state, arg) {
+      let ids = state.ids
+      let entities = state.entities
+      let idsCopied = false
+      let entitiesCopied = false
+
+      const draft = {
+        ids: () => ids.slice(),
+        has: id => entities.hasOwnProperty(id),
+        get: id => entities[id],
+        set(id, entity) {
+          if (entities[id] === entity && entities.hasOwnProperty(id)) {
+            return
+          }
+          if (!entitiesCopied) {
+            entities = { ...entities }
+            entitiesCopied = true
+          }
+          if (!entities.hasOwnProperty(id)) {
+            if (!idsCopied) {
+              ids = ids.slice()
+              idsCopied = true
+            }
+            ids.push(id)
+          }
+          entities[id] = entity
+        },
+        remove(id) {
+          if (!entities.hasOwnProperty(id)) {
+            return
+          }
+          if (!entitiesCopied) {
+            entities = { ...entities }
+            entitiesCopied = true
+          }
+          delete entities[id]
+          ids = ids.filter(existing => !sameId(existing, id))
+          idsCopied = true
+        },
+        reorder(nextIds) {
+          if (!arraysEqual(ids, nextIds)) {
+            ids = nextIds.slice()
+            idsCopied = true
+          }
+        },
+        rename(id, newId, entity) {
+          const index = ids.findIndex(existing => sameId(existing, id))
+          draft.remove(id)
+          draft.remove(newId)
+          draft.set(newId, entity)
+
+          // 改变id的记录保持在原来的位置
+          ids.splice(ids.findIndex(existing => sameId(existing, newId)), 1)
+          ids.splice(Math.min(index, ids.length), 0, newId)
+        }
+      }
+
+      mutate(draft, getPayload(arg))
+
+      if (!entitiesCopied && !idsCopied) {
+        return state
+      }
+
+      if (sortComparer) {
+        const sortedIds = ids
+          .map(id => entities[id])
+          .sort(sortComparer)
+          .map(selectId)
+        ids = arraysEqual(sortedIds, state.ids) ? state.ids : sortedIds
+      } else if (arraysEqual(ids, state.ids)) {
+        ids = state.ids
+      }
+
+      if (ids === state.ids && shallowEqual(entities, state.entities)) {
+        return state
+      }
+
+      return { ...state, ids, entities }
+    }
+  }
+
+  function addOne(draft, entity) {
+    const id = selectId(entity)
+    if (!draft.has(id)) {
+      draft.set(id, entity)
+    }
+  }
+
+  function setOne(draft, entity) {
+    draft.set(selectId(entity), entity)
+  }
+
+  function updateOne(draft, update) {
+    const { id, changes } = update
+    if (!draft.has(id)) {
+      return
+    }
+
+    const original = draft.get(id)
+    const updated = { ...original, ...changes }
+    if (shallowEqual(original, updated)) {
+      return
+    }
+
+    // 只是id的类型不同时不是改名, 记录保留原来的id与位置
+    const newId = selectId(updated)
+    if (!sameId(newId, id)) {
+      draft.rename(id, newId, updated)
+    } else {
+      draft.set(id, updated)
+    }
+  }
+
+  function upsertOne(draft, entity) {
+    const id = selectId(entity)
+    if (draft.has(id)) {
+      updateOne(draft, { id, changes: entity })
+    } else {
+      draft.set(id, entity)
+    }
+  }
+
+  function many(one) {
+    return (draft, items) => toArray(items).forEach(item => one(draft, item))
+  }
+
+  const caseReducers = {
+    addOne: createOperation(addOne),
+    addMany: createOperation(many(addOne)),
+    setOne: createOperation(setOne),
+    setMany: createOperation(many(setOne)),
+    setAll: createOperation((draft, entities) => {
+      const items = toArray(entities)
+      const nextIds = items.map(selectId)
+      draft.ids().forEach(id => {
+        if (nextIds.indexOf(id) === -1) {
+          draft.remove(id)
+        }
+      })
+      items.forEach(entity => setOne(draft, entity))
+      draft.reorder(nextIds)
+    }),
+    updateOne: createOperation(updateOne),
+    updateMany: createOperation(many(updateOne)),
+    upsertOne: createOperation(upsertOne),
+    upsertMany: createOperation(many(upsertOne)),
+    removeOne: createOperation((draft, id) => draft.remove(id)),
+    removeMany: createOperation((draft, ids) =>
+      ids.forEach(id => draft.remove(id))
+    ),
+    removeAll: createOperation(draft =>
+      draft.ids().forEach(id => draft.remove(id))
+    )
+  }
+
+  function getInitialState(extraState = {}) {
+    return { ids: [], entities: {}, ...extraState }
+  }
+
+  function getSelectors(selectState) {
+    const selectCollection = selectState || (state => state)
+    const selectIds = state => selectCollection(state).ids
+    const selectEntities = state => selectCollection(state).entities
+    const selectAll = createSelector(
+      selectIds,
+      selectEntities,
+      (ids, entities) => ids.map(id => entities[id])
+    )
+
+    return {
+      selectIds,
+      selectEntities,
+      selectAll,
+      selectTotal: state => selectIds(state).length,
+      selectById: (state, id) => selectEntities(state)[id]
+    }
+  }
+
+  return {
+    selectId,
+    sortComparer,
+    getInitialState,
+    getSelectors,
+    ...caseReducers
+  }
+}
@@ -0,0 +1,111 @@
+// 开发环境下检查state是否被直接修改(mutation)的中间件
+
+import warning from './utils/warning'
+
+function isImmutable(value) {
+  return typeof value !== 'object' || value === null || Object.isFrozen(value)
+}
+
+// 记录state中每一层对象的引用, 用于之后判断对象是否被直接修改
+function trackProperties(value, path, ignoredPaths) {
+  const tracked = { value, children: {} }
+  if (!isImmutable(value)) {
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key
+      if (ignoredPaths.indexOf(childPath) === -1) {
+        tracked.children[key] = trackProperties(value[key], childPath, ignoredPaths)
+      }
+    })
+  }
+  return tracked
+}
+
+// 如果一个对象的引用没有改变, 但它的某个属性的引用改变了, 说明这个对象被直接修改了
+function detectMutations(tracked, value, sameParentRef, path, ignoredPaths) {
+  const prevValue = tracked ? tracked.value : undefined
+  const sameRef = prevValue === value
+
+  if (sameParentRef && !sameRef && !(prevValue !== prevValue && value !== value)) {
+    return path
+  }
+
+  if (isImmutable(prevValue) || isImmutable(value)) {
+    return null
+  }
+
+  const keys = Object.keys(tracked.children).concat(
+    Object.keys(value).filter(key => !tracked.children.hasOwnProperty(key))
+  )
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const childPath = path ? `${path}.${key}` : key
+    if (ignoredPaths.indexOf(childPath) !== -1) {
+      continue
+    }
+
+    const mutatedPath = detectMutations(
+      tracked.children[key],
+      value[key],
+      sameRef,
+      childPath,
+      ignoredPaths
+    )
+    if (mutatedPath !== null) {
+      return mutatedPath
+    }
+  }
+  return null
+}
+
+/**
+ * Creates a middleware that warns when the state is mutated in place, either
+ * inside a reducer or between two dispatches. Such mutations keep object
+ * references unchanged, so `combineReducers` and subscribers would miss them.
+ * 创建一个在state被直接修改(无论是在reducer中还是在两次dispatch之间)时发出警告的中间件.
+ * 这样的修改不会改变对象的引用, 所以`combineReducers`与subscribers会忽略它们.
+ *
+ * The whole state tree is walked around every dispatch, so this is meant for
+ * development only. When `NODE_ENV === 'production'` it does nothing.
+ * 每次dispatch前后都会遍历整个state tree, 所以只应该在开发环境中使用. 当
+ * `NODE_ENV === 'production'`时它什么也不做.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.ignoredPaths] Dot-separated state paths (such as
+ * `'cache.items'`) whose subtrees are not checked.
+ * 不需要检查的以点分隔的state路径(比如`'cache.items'`)
+ *
+ * @returns {Function} A Redux middleware.
+ * 一个Redux中间件
+ */
+export default function createImmutableStateInvariantMiddleware(options = {}) {
+  if (process.env.NODE_ENV === 'production') {
+    return () => next => action => next(action)
+  }
+
+  const { ignoredPaths = [] } = options
+
+  return ({ getState }) => {
+    let state = getState()
+    let tracked = trackProperties(state, '', ignoredPaths)
+
+    function check(message) {
+      const mutatedPath = detectMutations(tracked, state, false, '', ignoredPaths)
+      state = getState()
+      tracked = trackProperties(state, '', ignoredPaths)
+
+      if (mutatedPath !== null) {
+        warning(
+          `A state mutation was detected ${message}, in the path "${mutatedPath}". ` +
+            'Reducers must return new objects instead of modifying the state in place.'
+        )
+      }
+    }
+
+    return next => action => {
+      check('between dispatches')
+      const result = next(action)
+      check(`inside a dispatch of the action "${String(action && action.type)}"`)
+      return result
+    }
+  }
+}
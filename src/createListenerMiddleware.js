@@ -0,0 +1,353 @@
+// 监听actions并执行副作用(side effects)的中间件, 支持取消与等待后续的actions
+
+import warning from './utils/warning'
+
+const CANCELLED = 'listener-cancelled'
+
+function createCancelledError() {
+  const error = new Error('The listener was cancelled.')
+  error.code = CANCELLED
+  return error
+}
+
+function isCancelledError(error) {
+  return !!error && error.code === CANCELLED
+}
+
+// 当signal被abort时reject的Promise
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createCancelledError())
+      return
+    }
+    signal.addEventListener('abort', () => reject(createCancelledError()), {
+      once: true
+    })
+  })
+}
+
+// 使得promise在signal被abort时以取消错误reject
+function raceWithSignal(signal, promise) {
+  const aborted = whenAborted(signal)
+  aborted.catch(() => {})
+  return Promise.race([aborted, promise])
+}
+
+function createDelay(signal) {
+  return ms => {
+    let timer
+    const result = raceWithSignal(
+      signal,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, ms)
+      })
+    )
+    // 被abort时不再需要计时器
+    const clear = () => clearTimeout(timer)
+    result.then(clear, clear)
+    return result
+  }
+}
+
+// 将actionCreator, type, matcher或predicate统一为predicate(action, state, prevState)
+function getPredicate(options) {
+  const { actionCreator, type, matcher, predicate } = options
+  if (actionCreator) {
+    return action => action.type === actionCreator.type
+  }
+  if (typeof type !== 'undefined') {
+    return action => action.type === type
+  }
+  if (matcher) {
+    return action => matcher(action)
+  }
+  if (predicate) {
+    return predicate
+  }
+  throw new Error(
+    'Creating or removing a listener requires one of the known fields for ' +
+      'matching an action: actionCreator, type, matcher or predicate.'
+  )
+}
+
+/**
+ * Creates a listener middleware. Effects registered with `startListening()`
+ * run after the reducers have handled a matching action, so they see the
+ * updated state and may dispatch further actions.
+ * 创建一个listener中间件. 通过`startListening()`注册的effects会在reducers处理完匹配的
+ * action之后执行, 所以它们能看到更新后的state, 并且可以分发更多的actions.
+ *
+ * `startListening({ actionCreator | type | matcher | predicate, effect })`
+ * returns a function that removes the listener. The effect is called with
+ * `(action, listenerApi)`, where `listenerApi` has:
+ * `startListening({ actionCreator | type | matcher | predicate, effect })`返回一个
+ * 移除这个listener的函数. effect会以`(action, listenerApi)`调用, `listenerApi`有:
+ *
+ * - `getState()`, `getOriginalState()`, `dispatch` and `extra`.
+ * - `take(predicate, timeout)` resolves with `[action, state, prevState]` for
+ *   the next matching action, or `null` after `timeout` milliseconds.
+ * - `condition(predicate, timeout)` resolves with `true` once a later action
+ *   satisfies `predicate`, or `false` after `timeout` milliseconds.
+ * - `delay(ms)` resolves after `ms` milliseconds.
+ * - `fork(executor)` runs a child task that is cancelled with its parent.
+ * - `cancelActiveListeners()` cancels the other running instances of this
+ *   listener, which is handy for debouncing.
+ * - `signal`, an `AbortSignal` aborted when this instance is cancelled.
+ * - `unsubscribe()` removes this listener.
+ * - `getState()`, `getOriginalState()`, `dispatch`与`extra`.
+ * - `take(predicate, timeout)`以下一个匹配的action的`[action, state, prevState]`
+ *   resolve, 或者在`timeout`毫秒之后以`null` resolve.
+ * - `condition(predicate, timeout)`在之后的某个action满足`predicate`时以`true`
+ *   resolve, 或者在`timeout`毫秒之后以`false` resolve.
+ * - `delay(ms)`在`ms`毫秒之后resolve.
+ * - `fork(executor)`执行一个会随着父任务一起被取消的子任务.
+ * - `cancelActiveListeners()`取消这个listener其他正在执行的实例, 便于实现防抖.
+ * - `signal`, 一个在这个实例被取消时abort的`AbortSignal`.
+ * - `unsubscribe()`移除这个listener.
+ *
+ * Once cancelled, pending `take`, `condition`, `delay` and `fork` results
+ * reject with an error whose `code` is `'listener-cancelled'`. Such errors are
+ * not reported.
+ * 一旦被取消, 等待中的`take`, `condition`, `delay`与`fork`的结果都会以`code`为
+ * `'listener-cancelled'`的错误reject. 这样的错误不会被报告.
+ *
+ * @param {Object} [options]
+ * @param {any} [options.extra] A value passed to every effect as
+ * `listenerApi.extra`.
+ * 作为`listenerApi.extra`传递给每个effect的值
+ * @param {Function} [options.onError] `onError(error, { raisedBy })` receives
+ * the errors thrown by effects. Defaults to printing a warning.
+ * `onError(error, { raisedBy })`接收effects抛出的错误, 默认打印一个警告.
+ *
+ * @returns {Object} `{ middleware, startListening, stopListening, clearListeners }`
+ */
+export default function createListenerMiddleware(options = {}) {
+  const {
+    extra,
+    onError = error => {
+      warning(
+        `An error was thrown by a listener effect: ${(error && error.stack) ||
+          error}`
+      )
+    }
+  } = options
+
+  if (typeof onError !== 'function') {
+    throw new Error('Expected the onError handler to be a function.')
+  }
+
+  let listeners = []
+  let middlewareAPI = null
+
+  function reportError(error, raisedBy) {
+    if (isCancelledError(error)) {
+      return
+    }
+
+    try {
+      onError(error, { raisedBy })
+    } catch (handlerError) {
+      setTimeout(() => {
+        throw handlerError
+      }, 0)
+    }
+  }
+
+  // 添加一个listener, 它的effect会在匹配的action之后执行
+  function addListener(entry) {
+    listeners = listeners.concat(entry)
+    return function unsubscribe() {
+      removeEntry(entry)
+    }
+  }
+
+  function removeEntry(entry) {
+    listeners = listeners.filter(l => l !== entry)
+    entry.pending.forEach(controller => controller.abort())
+  }
+
+  function startListening(listenerOptions = {}) {
+    if (typeof listenerOptions.effect !== 'function') {
+      throw new Error('Expected the listener effect to be a function.')
+    }
+
+    return addListener({
+      predicate: getPredicate(listenerOptions),
+      effect: listenerOptions.effect,
+      matcherOptions: listenerOptions,
+      pending: []
+    })
+  }
+
+  function stopListening(listenerOptions = {}) {
+    const { actionCreator, type, matcher, predicate, effect } = listenerOptions
+    const entry = listeners.filter(
+      ({ matcherOptions: m }) =>
+        m.effect === effect &&
+        m.actionCreator === actionCreator &&
+        m.type === type &&
+        m.matcher === matcher &&
+        m.predicate === predicate
+    )[0]
+
+    if (entry) {
+      removeEntry(entry)
+    }
+    return !!entry
+  }
+
+  function clearListeners() {
+    listeners.forEach(removeEntry)
+  }
+
+  // take与condition通过临时的listener等待之后的action
+  function createTake(signal) {
+    return (predicate, timeout) => {
+      let unsubscribe
+      const taken = new Promise(resolve => {
+        unsubscribe = addListener({
+          predicate,
+          effect: (action, api) => {
+            unsubscribe()
+            resolve([action, api.getState(), api.getOriginalState()])
+          },
+          matcherOptions: {},
+          pending: [],
+          isInternal: true
+        })
+      })
+
+      let timer
+      const promises = [taken]
+      if (typeof timeout === 'number') {
+        promises.push(
+          new Promise(resolve => {
+            timer = setTimeout(resolve, timeout, null)
+          })
+        )
+      }
+
+      const result = raceWithSignal(signal, Promise.race(promises))
+      const cleanup = () => {
+        unsubscribe()
+        clearTimeout(timer)
+      }
+      result.then(cleanup, cleanup)
+      return result
+    }
+  }
+
+  function createFork(parentSignal) {
+    return executor => {
+      const controller = new AbortController()
+      const cancel = () => controller.abort()
+      parentSignal.addEventListener('abort', cancel, { once: true })
+
+      const result = raceWithSignal(
+        controller.signal,
+        Promise.resolve().then(() =>
+          executor({
+            signal: controller.signal,
+            delay: createDelay(controller.signal),
+            pause: promise => raceWithSignal(controller.signal, promise)
+          })
+        )
+      )
+        .then(
+          value => ({ status: 'ok', value }),
+          error =>
+            isCancelledError(error)
+              ? { status: 'cancelled', error }
+              : { status: 'rejected', error }
+        )
+        .then(outcome => {
+          parentSignal.removeEventListener('abort', cancel)
+          return outcome
+        })
+
+      return { result, cancel }
+    }
+  }
+
+  function runEffect(entry, action, originalState) {
+    const controller = new AbortController()
+    const { signal } = controller
+    const take = createTake(signal)
+
+    const listenerApi = {
+      getState: middlewareAPI.getState,
+      getOriginalState: () => originalState,
+      dispatch: middlewareAPI.dispatch,
+      extra,
+      take,
+      condition: (predicate, timeout) =>
+        take(predicate, timeout).then(result => result !== null),
+      delay: createDelay(signal),
+      fork: createFork(signal),
+      cancelActiveListeners: () => {
+        entry.pending.forEach(other => {
+          if (other !== controller) {
+            other.abort()
+          }
+        })
+      },
+      signal,
+      unsubscribe: () => removeEntry(entry)
+    }
+
+    entry.pending = entry.pending.concat(controller)
+
+    // effect的同步部分立即执行, 使得它能看到与这个action对应的state
+    let outcome
+    try {
+      outcome = Promise.resolve(entry.effect(action, listenerApi))
+    } catch (error) {
+      outcome = Promise.reject(error)
+    }
+
+    outcome
+      .catch(error => reportError(error, 'effect'))
+      .then(() => {
+
+        // effect结束后abort它的signal, 使得它fork出的子任务也被取消
+        controller.abort()
+        entry.pending = entry.pending.filter(c => c !== controller)
+      })
+  }
+
+  const middleware = api => {
+    middlewareAPI = api
+
+    return next => action => {
+      const originalState = api.getState()
+      const result = next(action)
+      const currentState = api.getState()
+
+      listeners.forEach(entry => {
+        let matches = false
+        try {
+          matches = entry.predicate(action, currentState, originalState)
+        } catch (error) {
+          reportError(error, 'predicate')
+        }
+
+        if (matches) {
+          // 内部的take listener需要同步地resolve, 才能拿到正确的state
+          if (entry.isInternal) {
+            entry.effect(action, {
+              getState: () => currentState,
+              getOriginalState: () => originalState
+            })
+          } else {
+            runEffect(entry, action, originalState)
+          }
+        }
+      })
+
+      return result
+    }
+  }
+
+  return { middleware, startListening, stopListening, clearListeners }
+}
@@ -0,0 +1,217 @@
+// 记录每次dispatch的action, 前后的state, 耗时以及state diff的日志中间件
+
+import diffState from './utils/diffState'
+import now from './utils/now'
+import isPlainObject from './utils/isPlainObject'
+
+const REDACTED = '[REDACTED]'
+const UNCHANGED = '[UNCHANGED]'
+
+// 返回一个将path上的值替换为REDACTED的副本, 不会修改传入的对象
+function redactPath(value, keys) {
+  if (
+    keys.length === 0 ||
+    !(isPlainObject(value) || Array.isArray(value)) ||
+    !value.hasOwnProperty(keys[0])
+  ) {
+    return value
+  }
+
+  const copy = Array.isArray(value) ? value.slice() : { ...value }
+  copy[keys[0]] =
+    keys.length === 1 ? REDACTED : redactPath(value[keys[0]], keys.slice(1))
+  return copy
+}
+
+function redact(value, paths) {
+  return paths.reduce(
+    (result, path) => redactPath(result, path.split('.')),
+    value
+  )
+}
+
+function isRedactedPath(path, paths) {
+  return paths.some(p => path === p || path.indexOf(`${p}.`) === 0)
+}
+
+// 改变的路径在被隐藏的路径之下时整个隐藏, 在其之上时隐藏prev与next中对应的部分
+function redactChange(change, paths) {
+  if (isRedactedPath(change.path, paths)) {
+    return { path: change.path, prev: REDACTED, next: REDACTED }
+  }
+
+  const prefix = change.path ? `${change.path}.` : ''
+  const nestedPaths = paths
+    .filter(p => p.indexOf(prefix) === 0)
+    .map(p => p.slice(prefix.length))
+  return {
+    path: change.path,
+    prev: redact(change.prev, nestedPaths),
+    next: redact(change.next, nestedPaths)
+  }
+}
+
+// 将前后引用相同的顶层部分替换为UNCHANGED
+function collapseUnchanged(prevState, nextState) {
+  if (!isPlainObject(prevState) || !isPlainObject(nextState)) {
+    return [prevState, nextState]
+  }
+
+  const prev = { ...prevState }
+  const next = { ...nextState }
+  Object.keys(next).forEach(key => {
+    if (prevState.hasOwnProperty(key) && prevState[key] === nextState[key]) {
+      prev[key] = UNCHANGED
+      next[key] = UNCHANGED
+    }
+  })
+  return [prev, next]
+}
+
+/* eslint-disable no-console */
+const sinks = {
+  console(entry) {
+    if (typeof console === 'undefined') {
+      return
+    }
+
+    const title =
+      `action ${String(entry.action && entry.action.type)} ` +
+      `(${entry.duration.toFixed(2)} ms)`
+    const group =
+      typeof console.group === 'function' ? console.group : console.log
+    group.call(console, title)
+    console.log('prev state', entry.prevState)
+    console.log('action    ', entry.action)
+    console.log('next state', entry.nextState)
+    if (entry.diff) {
+      entry.diff.forEach(change => {
+        const path = change.path || '<root>'
+        console.log(`diff ${path}:`, change.prev, '→', change.next)
+      })
+    }
+    if (entry.error) {
+      console.error('error     ', entry.error)
+    }
+    if (typeof console.groupEnd === 'function') {
+      console.groupEnd()
+    }
+  },
+  json(entry, write) {
+    write(
+      JSON.stringify({
+        ...entry,
+        error: entry.error && String(entry.error.stack || entry.error)
+      })
+    )
+  }
+}
+/* eslint-enable no-console */
+
+/**
+ * Creates a logger middleware. For every action it records the action, the
+ * previous and next state, the time the rest of the chain took, and a diff of
+ * the changed paths, then hands that entry to a sink.
+ * 创建一个日志中间件. 对于每个action, 它会记录action, 前后的state, 中间件链剩余部分
+ * 所花费的时间以及改变的路径的diff, 然后将这条记录交给一个sink.
+ *
+ * An entry is `{ action, prevState, nextState, diff, duration, timestamp }`,
+ * plus `error` if the dispatch threw. The error is rethrown after logging.
+ * 一条记录为`{ action, prevState, nextState, diff, duration, timestamp }`, 如果dispatch
+ * 抛出了错误, 还会有`error`. 错误会在记录之后被重新抛出.
+ *
+ * @param {Object} [options]
+ * @param {string|Function} [options.sink] `'console'` (the default) prints a
+ * group per action, `'json'` writes one JSON line per action through
+ * `options.write`, and a function receives every entry.
+ * `'console'`(默认)为每个action打印一组日志, `'json'`通过`options.write`为每个action
+ * 写入一行JSON, 传入函数则会接收每一条记录.
+ * @param {Function} [options.write] Writes a JSON line for the `'json'` sink.
+ * Defaults to `console.log`.
+ * `'json'` sink用来写入一行JSON的函数, 默认为`console.log`
+ * @param {Function} [options.predicate] `predicate(getState, action)` decides
+ * whether an action is logged.
+ * `predicate(getState, action)`决定一个action是否被记录
+ * @param {boolean} [options.diff] Whether to compute the diff. Defaults to `true`.
+ * 是否计算diff, 默认为`true`
+ * @param {boolean} [options.collapsed] Whether top-level slices that did not
+ * change are replaced by `'[UNCHANGED]'` in the logged states.
+ * 是否在记录的state中将没有改变的顶层部分替换为`'[UNCHANGED]'`
+ * @param {string[]} [options.redact] Dot-separated paths (such as
+ * `'auth.token'`) whose values are replaced by `'[REDACTED]'` in the logged
+ * action, states and diff.
+ * 以点分隔的路径(比如`'auth.token'`), 它们的值在记录的action, states与diff中会被
+ * 替换为`'[REDACTED]'`.
+ *
+ * @returns {Function} A Redux middleware.
+ * 一个Redux中间件
+ */
+export default function createLogger(options = {}) {
+  const {
+    sink = 'console',
+    write = message => console.log(message), // eslint-disable-line no-console
+    predicate,
+    diff = true,
+    collapsed = false,
+    redact: redactedPaths = []
+  } = options
+
+  const output = typeof sink === 'function' ? sink : sinks[sink]
+  if (typeof output !== 'function') {
+    throw new Error(
+      `Expected the sink to be "console", "json" or a function, ` +
+        `instead received ${String(sink)}.`
+    )
+  }
+
+  return ({ getState }) => next => action => {
+    if (predicate && !predicate(getState, action)) {
+      return next(action)
+    }
+
+    const prevState = getState()
+    const timestamp = Date.now()
+    const start = now()
+    let result
+    let error
+
+    try {
+      result = next(action)
+    } catch (e) {
+      error = e
+    }
+
+    const duration = now() - start
+    const nextState = getState()
+
+    let changes
+    if (diff) {
+      changes = diffState(prevState, nextState).map(change =>
+        redactChange(change, redactedPaths)
+      )
+    }
+
+    const [loggedPrevState, loggedNextState] = collapsed
+      ? collapseUnchanged(prevState, nextState)
+      : [prevState, nextState]
+
+    const entry = {
+      action: redact(action, redactedPaths),
+      prevState: redact(loggedPrevState, redactedPaths),
+      nextState: redact(loggedNextState, redactedPaths),
+      diff: changes,
+      duration,
+      timestamp
+    }
+    if (error) {
+      entry.error = error
+    }
+
+    output(entry, write)
+
+    if (error) {
+      throw error
+    }
+    return result
+  }
+}
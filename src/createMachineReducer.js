@@ -0,0 +1,219 @@
+// 以有限状态机的方式描述一个reducer, 只允许定义过的(并且通过guard的)转换
+
+import warning from './utils/warning'
+
+// 转换可以是目标状态的名字, `{ target, guard, assign }`, 或者它们的数组
+function toTransitions(definition) {
+  return (Array.isArray(definition) ? definition : [definition]).map(
+    transition =>
+      typeof transition === 'string' ? { target: transition } : transition
+  )
+}
+
+function guardName(guard) {
+  return typeof guard === 'string' ? guard : guard.name || 'anonymous'
+}
+
+// 追加一条记录, 只保留最近的historyLength条
+function appendHistory(history, entry, historyLength) {
+  if (historyLength === 0) {
+    return history
+  }
+  return history.concat(entry).slice(-historyLength)
+}
+
+/**
+ * @param {Object} state A state returned by a machine reducer.
+ * @param {string|string[]} value A state value, or several of them.
+ * @returns {boolean} True if the machine is in the state value, or in one of
+ * the state values.
+ */
+export function matches(state, value) {
+  const values = Array.isArray(value) ? value : [value]
+  return !!state && values.indexOf(state.value) !== -1
+}
+
+/**
+ * Creates a reducer for a finite state machine. The machine only moves along
+ * the transitions of `states`, so illegal transitions cannot happen.
+ * 创建一个有限状态机的reducer. 状态机只会沿着`states`中的转换移动, 所以非法的转换
+ * 不会发生.
+ *
+ * `states` maps each state value to `{ on }`, where `on` maps action types to
+ * transitions. A transition is the target state value, or
+ * `{ target, guard, assign }`, or an array of those, of which the first whose
+ * guard passes is taken:
+ * `states`将每个状态值映射到`{ on }`, 其中`on`将action types映射到转换. 转换是目标
+ * 状态值, 或者`{ target, guard, assign }`, 或者它们的数组(会选择第一个通过guard的
+ * 转换):
+ *
+ * - `guard` is a function `(context, action) => boolean`, or the name of one
+ *   in `guards`.
+ * - `assign(context, action)` returns changes, merged into the context.
+ * - `target` defaults to the current state value.
+ * - `guard`是一个函数`(context, action) => boolean`, 或者`guards`中一个函数的名字.
+ * - `assign(context, action)`返回被合并进context的改变.
+ * - `target`默认为当前的状态值.
+ *
+ * The reducer state is `{ value, context, transition, history }`, where
+ * `transition` is the last `{ from, to, type }`, or `null`. It gets a new
+ * reference on every transition, so
+ * `store[$$observable]().select(state => state.auth.transition)` emits a log
+ * of the transitions. `history` holds the last `historyLength` transitions,
+ * along with the events whose guards all failed, recorded as
+ * `{ from, type, rejected: true, reason }`.
+ * reducer的state为`{ value, context, transition, history }`, 其中`transition`为
+ * 最后一次的`{ from, to, type }`或者`null`. 每次转换它都会有一个新的引用, 所以
+ * `store[$$observable]().select(state => state.auth.transition)`会发出转换的日志.
+ * `history`保存最近`historyLength`次的转换, 以及所有guard都没有通过的事件, 后者记录为
+ * `{ from, type, rejected: true, reason }`.
+ *
+ * An action that is an event of the machine, but not of its current state, is
+ * ignored, with a warning in development unless `warnOnInvalid` is `false`.
+ * Other actions are ignored silently.
+ * 一个是状态机的事件, 但不是它当前状态的事件的action会被忽略, 在开发环境中还会打印一个
+ * 警告(除非`warnOnInvalid`为`false`). 其他的actions会被直接忽略.
+ *
+ * @param {Object} config
+ * @param {string} config.initial The initial state value.
+ * 初始的状态值
+ * @param {Object} config.states The states and their transitions.
+ * 状态以及它们的转换
+ * @param {Object} [config.guards] Named guards.
+ * 有名字的guards
+ * @param {Object} [config.context] The initial context, for data that goes
+ * with the state value.
+ * 初始的context, 用于与状态值相伴的数据
+ * @param {boolean} [config.warnOnInvalid] Whether to warn about ignored
+ * events in development. Defaults to `true`.
+ * 是否在开发环境中警告被忽略的事件, 默认为`true`
+ * @param {number} [config.historyLength] How many entries `history` keeps.
+ * Defaults to 20.
+ * `history`保留的记录的数量, 默认为20
+ *
+ * @returns {Function} A reducer.
+ * 一个reducer
+ */
+export default function createMachineReducer(config = {}) {
+  const {
+    initial,
+    states,
+    guards = {},
+    context = {},
+    warnOnInvalid = true,
+    historyLength = 20
+  } = config
+
+  if (!states || typeof states !== 'object') {
+    throw new Error('Expected the states to be an object.')
+  }
+
+  if (typeof historyLength !== 'number' || !(historyLength >= 0)) {
+    throw new Error('Expected the historyLength to be a non-negative number.')
+  }
+
+  if (!states.hasOwnProperty(initial)) {
+    throw new Error(
+      `Expected the initial state "${String(initial)}" to be one of the ` +
+        `states: "${Object.keys(states).join('", "')}".`
+    )
+  }
+
+  // 在创建时检查所有的目标状态与guards, 而不是等到转换发生时
+  const transitionMap = {}
+  const events = {}
+  Object.keys(states).forEach(value => {
+    const on = (states[value] && states[value].on) || {}
+    transitionMap[value] = {}
+
+    Object.keys(on).forEach(type => {
+      const transitions = toTransitions(on[type])
+      transitions.forEach(({ target, guard }) => {
+        if (typeof target !== 'undefined' && !states.hasOwnProperty(target)) {
+          throw new Error(
+            `The transition "${type}" of the state "${value}" targets the ` +
+              `unknown state "${String(target)}".`
+          )
+        }
+        if (typeof guard === 'string' && typeof guards[guard] !== 'function') {
+          throw new Error(`The guard "${guard}" is not defined.`)
+        }
+      })
+
+      transitionMap[value][type] = transitions
+      events[type] = true
+    })
+  })
+
+  const initialState = {
+    value: initial,
+    context,
+    transition: null,
+    history: []
+  }
+
+  return function machine(state = initialState, action) {
+    const transitions = transitionMap[state.value]
+    if (!transitions) {
+      throw new Error(`The machine is in the unknown state "${state.value}".`)
+    }
+
+    if (!transitions.hasOwnProperty(action.type)) {
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        warnOnInvalid &&
+        events.hasOwnProperty(action.type)
+      ) {
+        warning(
+          `The event "${String(action.type)}" was ignored because the ` +
+            `machine is in the state "${state.value}", which does not ` +
+            `handle it.`
+        )
+      }
+      return state
+    }
+
+    const transition = transitions[action.type].find(({ guard }) => {
+      if (typeof guard === 'undefined') {
+        return true
+      }
+      const check = typeof guard === 'string' ? guards[guard] : guard
+      return check(state.context, action)
+    })
+
+    // 之前版本的state可能没有history
+    const history = state.history || []
+    if (!transition) {
+      if (historyLength === 0) {
+        return state
+      }
+
+      const names = transitions[action.type].map(({ guard }) =>
+        guardName(guard)
+      )
+      const rejected = {
+        from: state.value,
+        type: action.type,
+        rejected: true,
+        reason:
+          `Rejected by the guard${names.length > 1 ? 's' : ''} ` +
+          `"${names.join('", "')}".`
+      }
+      return {
+        ...state,
+        history: appendHistory(history, rejected, historyLength)
+      }
+    }
+
+    const { target = state.value, assign } = transition
+    const entry = { from: state.value, to: target, type: action.type }
+    return {
+      value: target,
+      context: assign
+        ? { ...state.context, ...assign(state.context, action) }
+        : state.context,
+      transition: entry,
+      history: appendHistory(history, entry, historyLength)
+    }
+  }
+}
@@ -0,0 +1,807 @@
+// 数据获取与缓存层: 以自己的state部分与中间件管理请求的状态, 缓存, 失效与轮询
+
+import createAction from './createAction'
+import createReducer from './createReducer'
+import produce from './produce'
+import { PENDING, FULFILLED, REJECTED } from './promise'
+import { stableStringify } from './utils/checksum'
+import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+
+const UNINITIALIZED = 'uninitialized'
+
+// 在Node中不要因为缓存与轮询的计时器而阻止进程退出
+function setTimer(callback, delay) {
+  const timer = setTimeout(callback, delay)
+  if (timer && typeof timer.unref === 'function') {
+    timer.unref()
+  }
+  return timer
+}
+
+// Error实例无法序列化, 只保留它的name与message
+function toSerializableError(error) {
+  return error instanceof Error
+    ? { name: error.name, message: error.message }
+    : error
+}
+
+function withStatusFlags(entry) {
+  const status = entry ? entry.status : UNINITIALIZED
+  const hasData = !!entry && typeof entry.data !== 'undefined'
+  return {
+    ...entry,
+    status,
+    isUninitialized: status === UNINITIALIZED,
+    isFetching: status === PENDING,
+    isLoading: status === PENDING && !hasData,
+    isSuccess: status === FULFILLED || (status === PENDING && hasData),
+    isError: status === REJECTED
+  }
+}
+
+// 标签是字符串或者`{ type, id }`, 统一为后者
+function toTag(tag) {
+  return typeof tag === 'string' ? { type: tag } : tag
+}
+
+function resolveTags(description, ...args) {
+  const tags =
+    typeof description === 'function' ? description(...args) : description
+  return (tags || []).map(toTag)
+}
+
+// 没有id的标签会使该类型的所有标签失效
+function matchesTag(provided, invalidated) {
+  return (
+    provided.type === invalidated.type &&
+    (typeof invalidated.id === 'undefined' || provided.id === invalidated.id)
+  )
+}
+
+function isInvalidated(providedTags, invalidatedTags) {
+  return providedTags.some(provided =>
+    invalidatedTags.some(tag => matchesTag(provided, tag))
+  )
+}
+
+/**
+ * Creates a base query on top of `fetch`. The query arguments are a URL, or
+ * `{ url, method, body, headers }`; a plain object or array body is sent as
+ * JSON, and JSON responses are parsed.
+ * 创建一个基于`fetch`的base query. query的参数为URL, 或者
+ * `{ url, method, body, headers }`; 普通对象或者数组的body会以JSON的形式发送, JSON
+ * 响应会被解析.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] Prepended to every URL.
+ * 添加在每个URL之前
+ * @param {Function} [options.fetchFn] The `fetch` implementation. Defaults to
+ * the global `fetch`.
+ * `fetch`的实现, 默认为全局的`fetch`
+ *
+ * @returns {Function} A base query for `createQueryApi`.
+ * 用于`createQueryApi`的base query
+ */
+export function fetchBaseQuery(options = {}) {
+  const { baseUrl = '', fetchFn } = options
+
+  return (args, { signal }) => {
+    const fetchImpl = fetchFn || (typeof fetch === 'function' ? fetch : null)
+    if (!fetchImpl) {
+      throw new Error(
+        'fetch is not available. Pass a fetch implementation as fetchFn.'
+      )
+    }
+
+    const { url, method = 'GET', body, headers = {} } =
+      typeof args === 'string' ? { url: args } : args
+    const isJson = isPlainObject(body) || Array.isArray(body)
+    const init = {
+      method,
+      signal,
+      headers: isJson
+        ? { 'content-type': 'application/json', ...headers }
+        : headers,
+      body: isJson ? JSON.stringify(body) : body
+    }
+
+    return fetchImpl(baseUrl + url, init).then(response => {
+      const contentType =
+        (response.headers && response.headers.get('content-type')) || ''
+      const read =
+        contentType.indexOf('application/json') !== -1
+          ? response.json()
+          : response.text()
+      return read.then(data =>
+        response.ok ? { data } : { error: { status: response.status, data } }
+      )
+    })
+  }
+}
+
+/**
+ * Creates a data-fetching and caching layer that lives in its own slice of the
+ * state tree. Add `api.reducer` under `api.reducerPath` with
+ * `combineReducers`, and `api.middleware` with `applyMiddleware`.
+ * 创建一个存在于state tree中自己的部分的数据获取与缓存层. 通过`combineReducers`将
+ * `api.reducer`添加在`api.reducerPath`之下, 并通过`applyMiddleware`添加
+ * `api.middleware`.
+ *
+ * `endpoints(build)` returns the endpoints, defined with `build.query()` and
+ * `build.mutation()`. An endpoint definition has:
+ * `endpoints(build)`返回通过`build.query()`与`build.mutation()`定义的endpoints.
+ * endpoint的定义有:
+ *
+ * - `query(arg)`, turning the endpoint argument into the arguments of
+ *   `baseQuery`. Defaults to passing the argument through.
+ * - `transformResponse(data, arg)`, applied to the fetched data.
+ * - `providesTags` (queries) or `invalidatesTags` (mutations), an array of
+ *   tags or `(result, error, arg) => tags`. A tag is a string or
+ *   `{ type, id }`.
+ * - `keepUnusedDataFor` (queries), how many seconds a cache entry without
+ *   subscribers is kept. Defaults to the option of the api.
+ * - `onQueryStarted(arg, { dispatch, getState, queryFulfilled })`, called when
+ *   a request starts. `queryFulfilled` rejects when the request fails, which is
+ *   where optimistic updates are rolled back.
+ * - `query(arg)`, 将endpoint的参数转化为`baseQuery`的参数. 默认直接传递参数.
+ * - `transformResponse(data, arg)`, 应用于获取到的数据.
+ * - `providesTags`(queries)或者`invalidatesTags`(mutations), 标签的数组或者
+ *   `(result, error, arg) => tags`. 标签是一个字符串或者`{ type, id }`.
+ * - `keepUnusedDataFor`(queries), 没有订阅者的缓存会被保留多少秒. 默认为api的选项.
+ * - `onQueryStarted(arg, { dispatch, getState, queryFulfilled })`, 在请求开始时被
+ *   调用. 请求失败时`queryFulfilled`会reject, 可以在这里回滚乐观更新.
+ *
+ * Each endpoint in `api.endpoints` has `initiate(arg, options)`, whose
+ * dispatch returns a request handle, `select(arg)` (or `select(requestId)`
+ * for mutations), and the `matchPending`, `matchFulfilled` and
+ * `matchRejected` matchers for `builder.addMatcher`.
+ * `api.endpoints`中的每个endpoint都有`initiate(arg, options)`(分发它会返回一个请求的
+ * handle), `select(arg)`(对于mutations为`select(requestId)`), 以及用于
+ * `builder.addMatcher`的`matchPending`, `matchFulfilled`与`matchRejected`.
+ *
+ * The middleware deduplicates requests for the same endpoint and argument,
+ * counts the subscriptions of every cache entry and removes it once unused,
+ * refetches or removes the entries whose tags a mutation invalidated, and
+ * polls at the smallest `pollingInterval` of the subscriptions.
+ * `api.util.updateQueryData(endpointName, arg, recipe)` changes cached data
+ * and returns `{ undo }` to roll it back.
+ * 中间件会对相同endpoint与参数的请求去重, 计算每个缓存的订阅数量并在它不再被使用时移除,
+ * 重新获取或者移除被mutation失效的标签所对应的缓存, 并以所有订阅中最小的
+ * `pollingInterval`轮询. `api.util.updateQueryData(endpointName, arg, recipe)`修改
+ * 缓存的数据, 并返回用于回滚的`{ undo }`.
+ *
+ * @param {Object} options
+ * @param {Function} options.baseQuery `baseQuery(args, { signal, dispatch,
+ * getState, endpoint })` performs a request, and returns (or resolves to)
+ * `{ data }` or `{ error }`. Use `fetchBaseQuery()`, or a stub in tests.
+ * `baseQuery(args, { signal, dispatch, getState, endpoint })`执行一个请求, 并返回
+ * (或者resolve为)`{ data }`或`{ error }`. 可以使用`fetchBaseQuery()`, 在测试中则可以
+ * 使用一个stub.
+ * @param {Function} options.endpoints `endpoints(build)` returns the endpoint
+ * definitions.
+ * `endpoints(build)`返回endpoint的定义
+ * @param {string} [options.reducerPath] The key of the slice. Defaults to
+ * `'api'`.
+ * state部分的键, 默认为`'api'`
+ * @param {number} [options.keepUnusedDataFor] How many seconds unused cache
+ * entries are kept. Defaults to 60.
+ * 不再被使用的缓存会被保留多少秒, 默认为60
+ *
+ * @returns {Object} The api: `{ reducerPath, reducer, middleware, endpoints,
+ * util }`.
+ * api: `{ reducerPath, reducer, middleware, endpoints, util }`
+ */
+export default function createQueryApi(options = {}) {
+  const {
+    baseQuery,
+    endpoints: buildEndpoints,
+    reducerPath = 'api',
+    keepUnusedDataFor = 60
+  } = options
+
+  if (typeof baseQuery !== 'function') {
+    throw new Error('Expected the baseQuery to be a function.')
+  }
+
+  if (typeof buildEndpoints !== 'function') {
+    throw new Error('Expected the endpoints to be a function.')
+  }
+
+  const type = name => `${reducerPath}/${name}`
+  const withMeta = (payload, meta) => ({ payload, meta })
+  const withError = (error, meta) => ({ payload: error, meta, error: true })
+
+  const actions = {
+    queryPending: createAction(type(`executeQuery/${PENDING}`), withMeta),
+    queryFulfilled: createAction(type(`executeQuery/${FULFILLED}`), withMeta),
+    queryRejected: createAction(type(`executeQuery/${REJECTED}`), withError),
+    mutationPending: createAction(
+      type(`executeMutation/${PENDING}`),
+      withMeta
+    ),
+    mutationFulfilled: createAction(
+      type(`executeMutation/${FULFILLED}`),
+      withMeta
+    ),
+    mutationRejected: createAction(
+      type(`executeMutation/${REJECTED}`),
+      withError
+    ),
+    queryDataUpdated: createAction(type('queryDataUpdated')),
+    removeQuery: createAction(type('removeQuery')),
+    removeMutation: createAction(type('removeMutation')),
+    invalidateTags: createAction(type('invalidateTags')),
+    resetApiState: createAction(type('resetApiState'))
+  }
+
+  // 由中间件处理的命令, 不会到达reducer
+  const commands = {
+    initiateQuery: createAction(type('initiateQuery')),
+    initiateMutation: createAction(type('initiateMutation')),
+    updateQueryData: createAction(type('updateQueryData'))
+  }
+
+  const definitions = buildEndpoints({
+    query: definition => ({ ...definition, kind: 'query' }),
+    mutation: definition => ({ ...definition, kind: 'mutation' })
+  })
+
+  function getDefinition(endpointName) {
+    if (!definitions.hasOwnProperty(endpointName)) {
+      throw new Error(
+        `The endpoint "${endpointName}" does not exist in the api ` +
+          `"${reducerPath}".`
+      )
+    }
+    return definitions[endpointName]
+  }
+
+  function getCacheKey(endpointName, arg) {
+    return `${endpointName}(${stableStringify(arg)})`
+  }
+
+  const initialState = { queries: {}, mutations: {} }
+
+  const reducer = createReducer(
+    initialState,
+    builder =>
+      builder
+        .addCase(actions.queryPending, (state, { meta }) => {
+          const entry = state.queries[meta.cacheKey] || {
+            endpointName: meta.endpointName,
+            arg: meta.arg
+          }
+          entry.status = PENDING
+          entry.requestId = meta.requestId
+          entry.startedAt = meta.startedAt
+          delete entry.error
+          state.queries[meta.cacheKey] = entry
+        })
+        .addCase(actions.queryFulfilled, (state, { payload, meta }) => {
+          const entry = state.queries[meta.cacheKey]
+          if (entry && entry.requestId === meta.requestId) {
+            entry.status = FULFILLED
+            entry.data = payload
+            entry.fulfilledAt = meta.fulfilledAt
+          }
+        })
+        .addCase(actions.queryRejected, (state, { payload, meta }) => {
+          const entry = state.queries[meta.cacheKey]
+          if (entry && entry.requestId === meta.requestId) {
+            entry.status = REJECTED
+            entry.error = payload
+          }
+        })
+        .addCase(actions.mutationPending, (state, { meta }) => {
+          state.mutations[meta.requestId] = {
+            endpointName: meta.endpointName,
+            arg: meta.arg,
+            status: PENDING,
+            requestId: meta.requestId,
+            startedAt: meta.startedAt
+          }
+        })
+        .addCase(actions.mutationFulfilled, (state, { payload, meta }) => {
+          const entry = state.mutations[meta.requestId]
+          if (entry) {
+            entry.status = FULFILLED
+            entry.data = payload
+            entry.fulfilledAt = meta.fulfilledAt
+          }
+        })
+        .addCase(actions.mutationRejected, (state, { payload, meta }) => {
+          const entry = state.mutations[meta.requestId]
+          if (entry) {
+            entry.status = REJECTED
+            entry.error = payload
+          }
+        })
+        .addCase(actions.queryDataUpdated, (state, { payload }) => {
+          const entry = state.queries[payload.cacheKey]
+          if (entry) {
+            entry.data = payload.data
+          }
+        })
+        .addCase(actions.removeQuery, (state, { payload }) => {
+          delete state.queries[payload.cacheKey]
+        })
+        .addCase(actions.removeMutation, (state, { payload }) => {
+          delete state.mutations[payload.requestId]
+        })
+        .addCase(actions.resetApiState, () => initialState)
+        .addMatcher(
+          action =>
+            Object.keys(commands).some(key => commands[key].match(action)),
+          state => {
+            warning(
+              `The middleware of the api "${reducerPath}" has not been added ` +
+                `to the store. Add api.middleware with applyMiddleware().`
+            )
+            return state
+          }
+        ),
+    { useDrafts: true }
+  )
+
+  function selectApiState(rootState) {
+    const apiState = rootState && rootState[reducerPath]
+    if (!apiState) {
+      warning(
+        `No state found under "${reducerPath}". ` +
+          `Did you add api.reducer to the root reducer?`
+      )
+      return initialState
+    }
+    return apiState
+  }
+
+  // 每个选出的缓存只计算一次状态标记, 使得结果的引用保持稳定
+  function createEntrySelector(getEntry) {
+    let lastEntry
+    let lastResult
+    return rootState => {
+      const entry = getEntry(selectApiState(rootState))
+      if (!lastResult || entry !== lastEntry) {
+        lastEntry = entry
+        lastResult = withStatusFlags(entry)
+      }
+      return lastResult
+    }
+  }
+
+  const isApiAction = (action, creator, endpointName) =>
+    creator.match(action) && action.meta.endpointName === endpointName
+
+  const endpoints = Object.keys(definitions).reduce((result, endpointName) => {
+    const definition = definitions[endpointName]
+    const isQuery = definition.kind === 'query'
+    const pending = isQuery ? actions.queryPending : actions.mutationPending
+    const fulfilled = isQuery
+      ? actions.queryFulfilled
+      : actions.mutationFulfilled
+    const rejected = isQuery
+      ? actions.queryRejected
+      : actions.mutationRejected
+
+    result[endpointName] = {
+      name: endpointName,
+      initiate: isQuery
+        ? (arg, initiateOptions = {}) =>
+            commands.initiateQuery({ endpointName, arg, ...initiateOptions })
+        : arg => commands.initiateMutation({ endpointName, arg }),
+      select: isQuery
+        ? arg =>
+            createEntrySelector(
+              apiState => apiState.queries[getCacheKey(endpointName, arg)]
+            )
+        : requestId =>
+            createEntrySelector(apiState => apiState.mutations[requestId]),
+      matchPending: action => isApiAction(action, pending, endpointName),
+      matchFulfilled: action => isApiAction(action, fulfilled, endpointName),
+      matchRejected: action => isApiAction(action, rejected, endpointName)
+    }
+    return result
+  }, {})
+
+  function middleware({ dispatch, getState }) {
+    let nextRequestId = 0
+    let nextSubscriptionId = 0
+
+    // 以下均以cacheKey为键
+    let running = {}
+    let subscriptions = {}
+    let providedTags = {}
+    let removalTimers = {}
+    let pollTimers = {}
+    let controllers = {}
+    // 请求期间被invalidate的标签, 在请求结束后与它提供的标签比较
+    let stale = {}
+
+    const getEntry = cacheKey => selectApiState(getState()).queries[cacheKey]
+
+    function countSubscriptions(cacheKey) {
+      return Object.keys(subscriptions[cacheKey] || {}).length
+    }
+
+    function scheduleRemoval(cacheKey) {
+      clearTimeout(removalTimers[cacheKey])
+      delete removalTimers[cacheKey]
+      if (countSubscriptions(cacheKey) > 0 || running[cacheKey]) {
+        return
+      }
+
+      const entry = getEntry(cacheKey)
+      const definition = entry && definitions[entry.endpointName]
+      const lifetime =
+        definition && typeof definition.keepUnusedDataFor === 'number'
+          ? definition.keepUnusedDataFor
+          : keepUnusedDataFor
+      if (lifetime === Infinity) {
+        return
+      }
+
+      removalTimers[cacheKey] = setTimer(() => {
+        delete removalTimers[cacheKey]
+        if (countSubscriptions(cacheKey) === 0 && !running[cacheKey]) {
+          delete providedTags[cacheKey]
+          dispatch(actions.removeQuery({ cacheKey }))
+        }
+      }, lifetime * 1000)
+    }
+
+    // 以所有订阅中最小的正数间隔轮询
+    function schedulePoll(cacheKey) {
+      clearTimeout(pollTimers[cacheKey])
+      delete pollTimers[cacheKey]
+
+      const intervals = Object.keys(subscriptions[cacheKey] || {})
+        .map(id => subscriptions[cacheKey][id].pollingInterval)
+        .filter(interval => interval > 0)
+      if (intervals.length === 0 || running[cacheKey]) {
+        return
+      }
+
+      pollTimers[cacheKey] = setTimer(() => {
+        delete pollTimers[cacheKey]
+        const entry = getEntry(cacheKey)
+        if (entry) {
+          runQuery(cacheKey, entry.endpointName, entry.arg, true)
+        }
+      }, Math.min(...intervals))
+    }
+
+    // 执行baseQuery, 返回resolve为`{ data }`或`{ error }`的Promise
+    function execute(definition, endpointName, arg, signal) {
+      return new Promise(resolve =>
+        resolve(
+          baseQuery(definition.query ? definition.query(arg) : arg, {
+            signal,
+            dispatch,
+            getState,
+            endpoint: endpointName
+          })
+        )
+      ).then(
+        (result = {}) =>
+          typeof result.error !== 'undefined'
+            ? { error: toSerializableError(result.error) }
+            : {
+                data: definition.transformResponse
+                  ? definition.transformResponse(result.data, arg)
+                  : result.data
+              },
+        error => ({ error: toSerializableError(error) })
+      )
+    }
+
+    function startLifecycle(definition, arg, request) {
+      if (!definition.onQueryStarted) {
+        return
+      }
+
+      const queryFulfilled = request.then(
+        result => ('error' in result ? Promise.reject(result) : result)
+      )
+      // 没有处理失败的情况时, 不要产生未处理的rejection
+      queryFulfilled.catch(() => {})
+      definition.onQueryStarted(arg, { dispatch, getState, queryFulfilled })
+    }
+
+    function runQuery(cacheKey, endpointName, arg, forceRefetch) {
+      if (running[cacheKey]) {
+        return running[cacheKey]
+      }
+
+      const entry = getEntry(cacheKey)
+      if (entry && entry.status === FULFILLED && !forceRefetch) {
+        return Promise.resolve(withStatusFlags(entry))
+      }
+
+      const definition = definitions[endpointName]
+      const requestId = String(++nextRequestId)
+      const meta = { cacheKey, endpointName, arg, requestId }
+      const controller =
+        typeof AbortController === 'function' ? new AbortController() : null
+      controllers[cacheKey] = controller
+
+      clearTimeout(pollTimers[cacheKey])
+      dispatch(
+        actions.queryPending(undefined, { ...meta, startedAt: Date.now() })
+      )
+
+      const request = execute(
+        definition,
+        endpointName,
+        arg,
+        controller && controller.signal
+      )
+      startLifecycle(definition, arg, request)
+
+      const promise = request.then(result => {
+        // 在请求期间api的state被重置时, running中可能已经是更新的请求
+        if (running[cacheKey] === promise) {
+          delete running[cacheKey]
+          delete controllers[cacheKey]
+        }
+
+        // 在请求期间api的state被重置了, 或者已经有更新的请求
+        const current = getEntry(cacheKey)
+        if (!current || current.requestId !== requestId) {
+          return withStatusFlags(current)
+        }
+
+        if ('error' in result) {
+          dispatch(actions.queryRejected(result.error, meta))
+        } else {
+          dispatch(
+            actions.queryFulfilled(result.data, {
+              ...meta,
+              fulfilledAt: Date.now()
+            })
+          )
+        }
+        providedTags[cacheKey] = resolveTags(
+          definition.providesTags,
+          result.data,
+          result.error,
+          arg
+        )
+        const settled = withStatusFlags(getEntry(cacheKey))
+        const invalidatedTags = stale[cacheKey] || []
+        delete stale[cacheKey]
+        if (isInvalidated(providedTags[cacheKey], invalidatedTags)) {
+          refresh(cacheKey)
+        } else {
+          schedulePoll(cacheKey)
+          scheduleRemoval(cacheKey)
+        }
+        return settled
+      })
+      running[cacheKey] = promise
+      return promise
+    }
+
+    // 重新请求被invalidate的查询, 没有订阅时删除它
+    function refresh(cacheKey) {
+      const entry = getEntry(cacheKey)
+      if (!entry) {
+        delete providedTags[cacheKey]
+      } else if (countSubscriptions(cacheKey) > 0) {
+        runQuery(cacheKey, entry.endpointName, entry.arg, true)
+      } else {
+        delete providedTags[cacheKey]
+        dispatch(actions.removeQuery({ cacheKey }))
+      }
+    }
+
+    function invalidate(tags) {
+      const invalidated = tags.map(toTag)
+
+      // 正在进行的请求可能返回invalidate之前的数据, 在它结束之后再检查它提供的标签
+      Object.keys(running).forEach(cacheKey => {
+        stale[cacheKey] = (stale[cacheKey] || []).concat(invalidated)
+      })
+
+      Object.keys(providedTags).forEach(cacheKey => {
+        if (
+          !running[cacheKey] &&
+          isInvalidated(providedTags[cacheKey], invalidated)
+        ) {
+          refresh(cacheKey)
+        }
+      })
+    }
+
+    function unwrapResult(promise) {
+      return promise.then(
+        result => (result.isError ? Promise.reject(result.error) : result.data)
+      )
+    }
+
+    function initiateQuery({
+      endpointName,
+      arg,
+      subscribe = true,
+      forceRefetch = false,
+      pollingInterval = 0
+    }) {
+      if (getDefinition(endpointName).kind !== 'query') {
+        throw new Error(`The endpoint "${endpointName}" is not a query.`)
+      }
+
+      const cacheKey = getCacheKey(endpointName, arg)
+      const subscriptionId = String(++nextSubscriptionId)
+      if (subscribe) {
+        subscriptions[cacheKey] = {
+          ...subscriptions[cacheKey],
+          [subscriptionId]: { pollingInterval }
+        }
+        clearTimeout(removalTimers[cacheKey])
+        delete removalTimers[cacheKey]
+      }
+
+      const promise = runQuery(cacheKey, endpointName, arg, forceRefetch)
+      if (subscribe) {
+        schedulePoll(cacheKey)
+      } else {
+        promise.then(() => scheduleRemoval(cacheKey))
+      }
+
+      return {
+        arg,
+        cacheKey,
+        then: (onFulfilled, onRejected) =>
+          promise.then(onFulfilled, onRejected),
+        unwrap: () => unwrapResult(promise),
+        refetch: () =>
+          unwrapResult(runQuery(cacheKey, endpointName, arg, true)),
+        updateSubscriptionOptions(nextOptions) {
+          const subscription = (subscriptions[cacheKey] || {})[subscriptionId]
+          if (subscription) {
+            subscriptions[cacheKey][subscriptionId] = {
+              ...subscription,
+              ...nextOptions
+            }
+            schedulePoll(cacheKey)
+          }
+        },
+        unsubscribe() {
+          if (!(subscriptions[cacheKey] || {})[subscriptionId]) {
+            return
+          }
+
+          delete subscriptions[cacheKey][subscriptionId]
+          if (countSubscriptions(cacheKey) === 0) {
+            delete subscriptions[cacheKey]
+          }
+          schedulePoll(cacheKey)
+          scheduleRemoval(cacheKey)
+        }
+      }
+    }
+
+    function initiateMutation({ endpointName, arg }) {
+      const definition = getDefinition(endpointName)
+      if (definition.kind !== 'mutation') {
+        throw new Error(`The endpoint "${endpointName}" is not a mutation.`)
+      }
+
+      const requestId = String(++nextRequestId)
+      const meta = { endpointName, arg, requestId }
+      dispatch(
+        actions.mutationPending(undefined, { ...meta, startedAt: Date.now() })
+      )
+
+      const request = execute(definition, endpointName, arg)
+      startLifecycle(definition, arg, request)
+
+      const promise = request.then(result => {
+        if ('error' in result) {
+          dispatch(actions.mutationRejected(result.error, meta))
+        } else {
+          dispatch(
+            actions.mutationFulfilled(result.data, {
+              ...meta,
+              fulfilledAt: Date.now()
+            })
+          )
+          invalidate(
+            resolveTags(definition.invalidatesTags, result.data, undefined, arg)
+          )
+        }
+        return withStatusFlags(
+          selectApiState(getState()).mutations[requestId] || {
+            ...meta,
+            ...result,
+            status: 'error' in result ? REJECTED : FULFILLED
+          }
+        )
+      })
+
+      return {
+        arg,
+        requestId,
+        then: (onFulfilled, onRejected) =>
+          promise.then(onFulfilled, onRejected),
+        unwrap: () => unwrapResult(promise),
+        reset: () => dispatch(actions.removeMutation({ requestId }))
+      }
+    }
+
+    function updateQueryData({ endpointName, arg, recipe }) {
+      getDefinition(endpointName)
+      const cacheKey = getCacheKey(endpointName, arg)
+      const entry = getEntry(cacheKey)
+      if (!entry) {
+        return { undo() {} }
+      }
+
+      const prevData = entry.data
+      dispatch(
+        actions.queryDataUpdated({ cacheKey, data: produce(prevData, recipe) })
+      )
+
+      // 撤销时恢复更新前的数据
+      return {
+        undo() {
+          if (getEntry(cacheKey)) {
+            dispatch(actions.queryDataUpdated({ cacheKey, data: prevData }))
+          }
+        }
+      }
+    }
+
+    function reset() {
+      Object.keys(removalTimers).forEach(key =>
+        clearTimeout(removalTimers[key])
+      )
+      Object.keys(pollTimers).forEach(key => clearTimeout(pollTimers[key]))
+      Object.keys(controllers).forEach(key => {
+        if (controllers[key]) {
+          controllers[key].abort()
+        }
+      })
+      running = {}
+      subscriptions = {}
+      providedTags = {}
+      removalTimers = {}
+      pollTimers = {}
+      controllers = {}
+      stale = {}
+    }
+
+    return next => action => {
+      if (commands.initiateQuery.match(action)) {
+        return initiateQuery(action.payload)
+      }
+      if (commands.initiateMutation.match(action)) {
+        return initiateMutation(action.payload)
+      }
+      if (commands.updateQueryData.match(action)) {
+        return updateQueryData(action.payload)
+      }
+
+      const result = next(action)
+      if (actions.invalidateTags.match(action)) {
+        invalidate(action.payload)
+      } else if (actions.resetApiState.match(action)) {
+        reset()
+      }
+      return result
+    }
+  }
+
+  return {
+    reducerPath,
+    reducer,
+    middleware,
+    endpoints,
+    util: {
+      updateQueryData: (endpointName, arg, recipe) =>
+        commands.updateQueryData({ endpointName, arg, recipe }),
+      invalidateTags: actions.invalidateTags,
+      resetApiState: actions.resetApiState
+    }
+  }
+}
@@ -0,0 +1,143 @@
+// 使用builder创建reducer, 代替手写的switch语句
+
+import produce, { isDraftable } from './produce'
+
+/**
+ * Creates a reducer from an initial state and a builder callback, instead of a
+ * hand-written `switch` statement. The builder has three methods, which must
+ * be called in this order:
+ * 通过初始state与builder回调来创建reducer, 代替手写的`switch`语句. builder有三个方法,
+ * 它们必须按照以下的顺序调用:
+ *
+ * - `addCase(actionCreatorOrType, caseReducer)` handles one action type. An
+ *   action creator from `createAction` may be passed instead of the type.
+ * - `addMatcher(matcher, caseReducer)` handles every action for which
+ *   `matcher(action)` is true, such as `actionCreator.match`.
+ * - `addDefaultCase(caseReducer)` handles actions nothing else matched.
+ * - `addCase(actionCreatorOrType, caseReducer)`处理一个action type. 可以传入
+ *   `createAction`创建的action creator来代替type.
+ * - `addMatcher(matcher, caseReducer)`处理所有`matcher(action)`为true的action,
+ *   比如`actionCreator.match`.
+ * - `addDefaultCase(caseReducer)`处理没有被匹配的actions.
+ *
+ * The matching case reducer runs first, then every matching matcher in order.
+ * Each gets the state returned by the previous one and must return the next
+ * state. Unknown actions return the current state, and an `undefined` state
+ * returns `initialState`, so the reducer passes the checks of `combineReducers`.
+ * 先执行匹配的case reducer, 然后按顺序执行每个匹配的matcher. 每个都会接收前一个返回的
+ * state, 并且必须返回下一个state. 未知的actions会返回当前的state, `undefined`的state
+ * 会返回`initialState`, 所以这个reducer能够通过`combineReducers`的检查.
+ *
+ * @param {any} initialState The initial state. It may not be `undefined`.
+ * 初始state, 不能是`undefined`
+ *
+ * @param {Function} builderCallback Called once with the builder.
+ * 以builder调用一次的函数
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.useDrafts] Whether case reducers receive a draft
+ * of object and array states (see `produce`). They may then change the draft
+ * and return nothing, instead of returning the next state.
+ * case reducers是否接收对象与数组state的draft(见`produce`). 这样它们可以修改draft
+ * 并且不返回任何值, 而不是返回下一个state.
+ *
+ * @returns {Function} A reducer.
+ * 一个reducer
+ */
+export default function createReducer(
+  initialState,
+  builderCallback,
+  options = {}
+) {
+  const { useDrafts = false } = options
+
+  if (typeof initialState === 'undefined') {
+    throw new Error(
+      'The initial state may not be undefined. If you do not want to set a ' +
+        'value for this reducer, you can use null instead of undefined.'
+    )
+  }
+
+  if (typeof builderCallback !== 'function') {
+    throw new Error('Expected the builder callback to be a function.')
+  }
+
+  const caseReducers = {}
+  const matchers = []
+  let defaultCaseReducer
+
+  const builder = {
+    addCase(actionCreatorOrType, caseReducer) {
+      if (matchers.length > 0 || defaultCaseReducer) {
+        throw new Error(
+          '`builder.addCase` should only be called before `builder.addMatcher` ' +
+            'and `builder.addDefaultCase`.'
+        )
+      }
+
+      const type =
+        typeof actionCreatorOrType === 'function'
+          ? actionCreatorOrType.type
+          : actionCreatorOrType
+      if (typeof type === 'undefined') {
+        throw new Error('`builder.addCase` cannot be called with an undefined type.')
+      }
+      if (caseReducers.hasOwnProperty(type)) {
+        throw new Error(
+          `\`builder.addCase\` cannot be called with two reducers for the ` +
+            `type "${String(type)}".`
+        )
+      }
+
+      caseReducers[type] = caseReducer
+      return builder
+    },
+    addMatcher(matcher, caseReducer) {
+      if (defaultCaseReducer) {
+        throw new Error(
+          '`builder.addMatcher` should only be called before `builder.addDefaultCase`.'
+        )
+      }
+
+      matchers.push({ matcher, caseReducer })
+      return builder
+    },
+    addDefaultCase(caseReducer) {
+      if (defaultCaseReducer) {
+        throw new Error('`builder.addDefaultCase` can only be called once.')
+      }
+
+      defaultCaseReducer = caseReducer
+      return builder
+    }
+  }
+
+  builderCallback(builder)
+
+  return function reducer(state = initialState, action) {
+    const caseReducersToRun = matchers
+      .filter(({ matcher }) => matcher(action))
+      .map(({ caseReducer }) => caseReducer)
+    if (caseReducers.hasOwnProperty(action.type)) {
+      caseReducersToRun.unshift(caseReducers[action.type])
+    }
+    if (caseReducersToRun.length === 0 && defaultCaseReducer) {
+      caseReducersToRun.push(defaultCaseReducer)
+    }
+
+    return caseReducersToRun.reduce((previousState, caseReducer) => {
+      if (useDrafts && isDraftable(previousState)) {
+        return produce(previousState, draft => caseReducer(draft, action))
+      }
+
+      const nextState = caseReducer(previousState, action)
+      if (typeof nextState === 'undefined') {
+        throw new Error(
+          `A case reducer returned undefined for the action "${String(action.type)}". ` +
+            `To ignore an action, you must explicitly return the previous state.`
+        )
+      }
+      return nextState
+    }, state)
+  }
+}
@@ -0,0 +1,214 @@
+// 管理嵌套的reducers, 支持在运行时动态地添加与移除reducer
+
+import combineReducers from './combineReducers'
+import isPlainObject from './utils/isPlainObject'
+
+// 将'a.b.c'或['a', 'b', 'c']形式的路径统一为数组
+function toPath(path) {
+  const keys = typeof path === 'string' ? path.split('.') : path
+
+  if (
+    !Array.isArray(keys) ||
+    keys.length === 0 ||
+    keys.some(key => typeof key !== 'string' || key === '')
+  ) {
+    throw new Error(
+      `Expected the reducer path to be a dot-separated string or an array of keys, ` +
+        `instead received ${JSON.stringify(path)}.`
+    )
+  }
+
+  return keys
+}
+
+// 复制嵌套的reducer map, 使得之后的修改不会影响传入的对象
+function cloneTree(reducers) {
+  return Object.keys(reducers).reduce((tree, key) => {
+    const value = reducers[key]
+    tree[key] = isPlainObject(value) ? cloneTree(value) : value
+    return tree
+  }, {})
+}
+
+/**
+ * Creates a reducer manager for a nested reducer map that can grow and shrink
+ * at runtime, which is handy for apps that implement code splitting.
+ * 为一个可以在运行时增加和减少的嵌套reducer map创建一个reducer manager, 这对于使用了
+ * 代码拆分的app非常方便.
+ *
+ * Nested plain objects are combined with `combineReducers` at every level.
+ * Pass `manager.reduce` to `createStore`, then `manager.attach(store)` so that
+ * `add()` and `remove()` swap the root reducer through `store.replaceReducer()`.
+ * 嵌套的普通对象在每一层都会通过`combineReducers`组合. 将`manager.reduce`传递给
+ * `createStore`, 然后调用`manager.attach(store)`, 使得`add()`与`remove()`通过
+ * `store.replaceReducer()`替换根reducer.
+ *
+ * Paths are dot-separated strings (`'admin.users'`) or arrays of keys.
+ * 路径是以点分隔的字符串(`'admin.users'`)或者键的数组.
+ *
+ * The state kept by `remove(path, { keepState: true })` or `expect(path)`
+ * stays until a reducer is added for the path, or until `purge(path)` drops
+ * it, along with any state kept under the path.
+ * 通过`remove(path, { keepState: true })`或者`expect(path)`保留的state会一直存在,
+ * 直到为该路径添加了reducer, 或者`purge(path)`删除了它(以及该路径之下保留的state).
+ *
+ * @param {Object} [reducers] The initial, possibly nested, reducer map.
+ * 初始的, 可能是嵌套的reducer map
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.keepRemovedState] Whether `remove()` keeps the
+ * state of the removed slice by default. Defaults to `false`.
+ * `remove()`是否默认保留被移除部分的state. 默认为`false`.
+ * @param {Array} [options.pending] Paths whose reducers are still being
+ * loaded. Their state is kept, without the "Unexpected key" warning, until a
+ * reducer is added for them.
+ * reducer仍在加载中的路径. 在为它们添加reducer之前, 它们的state会被保留, 并且不会有
+ * "Unexpected key"的警告.
+ *
+ * @returns {Object} A reducer manager with `reduce`, `attach`, `add`,
+ * `remove`, `expect`, `purge` and `getReducerMap`.
+ * 一个有着`reduce`, `attach`, `add`, `remove`, `expect`, `purge`与
+ * `getReducerMap`的reducer manager
+ */
+export default function createReducerManager(reducers = {}, options = {}) {
+  if (!isPlainObject(reducers)) {
+    throw new Error('Expected the reducers to be a plain object.')
+  }
+
+  const { keepRemovedState = false, pending = [] } = options
+
+  const reducerTree = cloneTree(reducers)
+  let preservedPaths = pending.map(path => toPath(path).join('.'))
+  let rootReducer
+  let store = null
+
+  // 递归地组合每一层的reducers, 并保留该层中被保留的键
+  function build(tree, prefix) {
+    const level = {}
+    Object.keys(tree).forEach(key => {
+      const value = tree[key]
+      level[key] =
+        typeof value === 'function' ? value : build(value, prefix.concat(key))
+    })
+
+    // 被保留的路径在这一层还没有reducer时, 保留这一层对应的键
+    const preservedKeys = preservedPaths
+      .map(path => path.split('.'))
+      .filter(
+        keys =>
+          keys.length > prefix.length &&
+          prefix.every((key, i) => keys[i] === key) &&
+          !tree.hasOwnProperty(keys[prefix.length])
+      )
+      .map(keys => keys[prefix.length])
+
+    return combineReducers(level, { preservedKeys })
+  }
+
+  function update() {
+    rootReducer = build(reducerTree, [])
+    if (store) {
+      store.replaceReducer(reduce)
+    }
+  }
+
+  function reduce(state, action) {
+    return rootReducer(state, action)
+  }
+
+  function add(path, reducer) {
+    const keys = toPath(path)
+    if (typeof reducer !== 'function' && !isPlainObject(reducer)) {
+      throw new Error('Expected the reducer to be a function or a reducer map.')
+    }
+
+    let tree = reducerTree
+    for (let i = 0; i < keys.length - 1; i++) {
+      const key = keys[i]
+      if (typeof tree[key] === 'function') {
+        throw new Error(
+          `Cannot add a reducer under "${keys.join('.')}" because ` +
+            `"${keys.slice(0, i + 1).join('.')}" already has a reducer.`
+        )
+      }
+      tree[key] = tree[key] || {}
+      tree = tree[key]
+    }
+    tree[keys[keys.length - 1]] =
+      typeof reducer === 'function' ? reducer : cloneTree(reducer)
+
+    // 路径上已经有了reducer, 不再需要保留它的state
+    unpreserve(keys)
+    update()
+  }
+
+  // 不再保留该路径以及它之下的路径的state
+  function unpreserve(keys) {
+    const joined = keys.join('.')
+    preservedPaths = preservedPaths.filter(
+      preserved =>
+        preserved !== joined && preserved.indexOf(`${joined}.`) !== 0
+    )
+  }
+
+  function remove(path, { keepState = keepRemovedState } = {}) {
+    const keys = toPath(path)
+
+    // 找到路径上的每一层, 路径不存在时直接返回
+    const trees = [reducerTree]
+    for (let i = 0; i < keys.length - 1; i++) {
+      const next = trees[i][keys[i]]
+      if (!isPlainObject(next)) {
+        return
+      }
+      trees.push(next)
+    }
+    if (!trees[keys.length - 1].hasOwnProperty(keys[keys.length - 1])) {
+      return
+    }
+
+    // 移除reducer, 并删除因此变为空的上层对象
+    let depth = keys.length - 1
+    delete trees[depth][keys[depth]]
+    while (depth > 0 && Object.keys(trees[depth]).length === 0) {
+      depth--
+      delete trees[depth][keys[depth]]
+    }
+
+    if (keepState) {
+      preservedPaths = preservedPaths.concat(keys.slice(0, depth + 1).join('.'))
+    }
+
+    update()
+  }
+
+  function expect(path) {
+    preservedPaths = preservedPaths.concat(toPath(path).join('.'))
+    update()
+  }
+
+  function purge(path) {
+    unpreserve(toPath(path))
+    update()
+  }
+
+  function attach(nextStore) {
+    if (!nextStore || typeof nextStore.replaceReducer !== 'function') {
+      throw new Error('Expected the store to have a replaceReducer method.')
+    }
+
+    store = nextStore
+  }
+
+  update()
+
+  return {
+    reduce,
+    attach,
+    add,
+    remove,
+    expect,
+    purge,
+    getReducerMap: () => cloneTree(reducerTree)
+  }
+}
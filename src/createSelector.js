@@ -0,0 +1,185 @@
+// 创建带有缓存(memoization)的selector, 只有在依赖的值改变时才重新计算
+
+const defaultEqualityFn = (a, b) => a === b
+
+// 记住最近cacheSize次调用的参数与结果, 参数逐个使用equalityFn比较
+function memoize(func, cacheSize, equalityFn) {
+  let entries = []
+
+  function argsAreEqual(prevArgs, nextArgs) {
+    if (prevArgs.length !== nextArgs.length) {
+      return false
+    }
+    for (let i = 0; i < prevArgs.length; i++) {
+      if (!equalityFn(prevArgs[i], nextArgs[i])) {
+        return false
+      }
+    }
+    return true
+  }
+
+  function memoized(...args) {
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i]
+      if (argsAreEqual(entry.args, args)) {
+
+        // 将命中的缓存移到最前面, 最久未使用的缓存会被最先丢弃
+        if (i > 0) {
+          entries.splice(i, 1)
+          entries.unshift(entry)
+        }
+        return entry.result
+      }
+    }
+
+    const result = func(...args)
+    entries.unshift({ args, result })
+    if (entries.length > cacheSize) {
+      entries.pop()
+    }
+    return result
+  }
+
+  memoized.clearCache = () => {
+    entries = []
+  }
+
+  return memoized
+}
+
+/**
+ * Creates a memoized selector. The input selectors are called with the
+ * arguments of the selector, and `resultFn` is called with their results only
+ * when at least one of them changed since a cached call.
+ * 创建一个带有缓存的selector. input selectors会以selector的参数被调用, 只有当它们的
+ * 结果中至少有一个与缓存的调用不同时, `resultFn`才会以这些结果被调用.
+ *
+ * The returned selector also has `resultFn`, `dependencies`,
+ * `recomputations()`, `resetRecomputations()` and `clearCache()`, which are
+ * handy in tests.
+ * 返回的selector还拥有`resultFn`, `dependencies`, `recomputations()`,
+ * `resetRecomputations()`与`clearCache()`, 在测试中非常方便.
+ *
+ * @param {...Function} inputSelectors The selectors whose results are passed
+ * to `resultFn`. They may also be given as a single array.
+ * 结果会被传递给`resultFn`的selectors. 它们也可以以一个数组的形式传入.
+ *
+ * @param {Function} resultFn A function that derives the result from the
+ * results of the input selectors.
+ * 从input selectors的结果中计算出结果的函数
+ *
+ * @param {Object} [options] An optional last argument.
+ * 可选的最后一个参数
+ * @param {number} [options.cacheSize] How many distinct calls to remember.
+ * Defaults to 1.
+ * 记住多少个不同的调用, 默认为1
+ * @param {Function} [options.equalityFn] `equalityFn(a, b)` compares the
+ * arguments and the input selector results. Defaults to strict equality.
+ * `equalityFn(a, b)`用于比较参数以及input selectors的结果, 默认为严格相等
+ *
+ * @returns {Function} A memoized selector.
+ * 一个带有缓存的selector
+ */
+export default function createSelector(...funcs) {
+  const options =
+    typeof funcs[funcs.length - 1] === 'object' &&
+    !Array.isArray(funcs[funcs.length - 1])
+      ? funcs.pop()
+      : {}
+  const { cacheSize = 1, equalityFn = defaultEqualityFn } = options || {}
+
+  if (typeof cacheSize !== 'number' || !(cacheSize >= 1)) {
+    throw new Error('Expected the cacheSize to be a number greater than 0.')
+  }
+
+  if (typeof equalityFn !== 'function') {
+    throw new Error('Expected the equalityFn to be a function.')
+  }
+
+  const resultFn = funcs.pop()
+  if (typeof resultFn !== 'function') {
+    throw new Error(
+      `createSelector expects the result function to be a function, ` +
+        `instead received ${typeof resultFn}.`
+    )
+  }
+
+  const dependencies = Array.isArray(funcs[0]) ? funcs[0] : funcs
+  if (!dependencies.every(dep => typeof dep === 'function')) {
+    const types = dependencies.map(dep => typeof dep).join(', ')
+    throw new Error(
+      `createSelector expects all input selectors to be functions, ` +
+        `instead received the following types: [${types}].`
+    )
+  }
+
+  let recomputations = 0
+  const memoizedResultFn = memoize(
+    (...results) => {
+      recomputations++
+      return resultFn(...results)
+    },
+    cacheSize,
+    equalityFn
+  )
+
+  // 参数相同时直接返回缓存的结果, 连input selectors都不需要调用
+  const selector = memoize(
+    (...args) => {
+      const results = dependencies.map(dependency => dependency(...args))
+      return memoizedResultFn(...results)
+    },
+    cacheSize,
+    equalityFn
+  )
+
+  selector.resultFn = resultFn
+  selector.dependencies = dependencies
+  selector.recomputations = () => recomputations
+  selector.resetRecomputations = () => {
+    recomputations = 0
+  }
+  const clearArgsCache = selector.clearCache
+  selector.clearCache = () => {
+    clearArgsCache()
+    memoizedResultFn.clearCache()
+  }
+
+  return selector
+}
+
+/**
+ * Creates a memoized selector that returns an object with the same keys as
+ * `selectors`, each holding the result of the matching selector. This mirrors
+ * the state shapes produced by `combineReducers`.
+ * 创建一个带有缓存的selector, 它返回一个与`selectors`有着相同键的对象, 每个键的值是
+ * 对应selector的结果. 这与`combineReducers`产生的state形式相对应.
+ *
+ * @param {Object} selectors An object whose values are selectors.
+ * 一个值是selector的对象
+ *
+ * @param {Object} [options] The same options as `createSelector`.
+ * 与`createSelector`相同的选项
+ *
+ * @returns {Function} A memoized selector.
+ * 一个带有缓存的selector
+ */
+export function createStructuredSelector(selectors, options = {}) {
+  if (typeof selectors !== 'object' || selectors === null) {
+    throw new Error(
+      `createStructuredSelector expects an object whose values are selectors, ` +
+        `instead received ${selectors === null ? 'null' : typeof selectors}.`
+    )
+  }
+
+  const keys = Object.keys(selectors)
+  return createSelector(
+    keys.map(key => selectors[key]),
+    (...values) =>
+      values.reduce((result, value, i) => {
+        result[keys[i]] = value
+        return result
+      }, {}),
+    options
+  )
+}
@@ -0,0 +1,149 @@
+// 开发环境下检查actions与state是否可以被序列化的中间件
+
+import warning from './utils/warning'
+import isPlainObject from './utils/isPlainObject'
+
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value is a primitive, an array or a plain
+ * object, and can therefore be serialized.
+ */
+export function isPlain(value) {
+  const type = typeof value
+  return (
+    value === null ||
+    type === 'undefined' ||
+    type === 'string' ||
+    type === 'boolean' ||
+    (type === 'number' && isFinite(value)) ||
+    Array.isArray(value) ||
+    isPlainObject(value)
+  )
+}
+
+// 找到第一个无法序列化的值, 返回它的路径与值
+function findNonSerializableValue(value, path, isSerializable, ignoredPaths) {
+  if (!isSerializable(value)) {
+    return { path: path || '<root>', value }
+  }
+
+  if (typeof value !== 'object' || value === null) {
+    return null
+  }
+
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const childPath = path ? `${path}.${key}` : key
+    if (ignoredPaths.indexOf(childPath) !== -1) {
+      continue
+    }
+
+    const found = findNonSerializableValue(
+      value[key],
+      childPath,
+      isSerializable,
+      ignoredPaths
+    )
+    if (found) {
+      return found
+    }
+  }
+  return null
+}
+
+function describe(value) {
+  if (typeof value === 'function') {
+    return 'a function'
+  }
+  if (value && typeof value.then === 'function') {
+    return 'a Promise'
+  }
+  if (value && value.constructor && value.constructor.name) {
+    return `an instance of ${value.constructor.name}`
+  }
+  return String(value)
+}
+
+/**
+ * Creates a middleware that warns when a dispatched action or the resulting
+ * state contains a value that cannot be serialized, such as a function, a
+ * Promise, a Map or a class instance. Keeping both serializable is what makes
+ * recording, replaying and persisting them possible.
+ * 创建一个在被分发的action或者产生的state包含无法被序列化的值(比如函数, Promise, Map
+ * 或者类的实例)时发出警告的中间件. 保持它们可以被序列化, 才能记录, 重现以及持久化它们.
+ *
+ * This is meant for development only. When `NODE_ENV === 'production'` it
+ * does nothing.
+ * 只应该在开发环境中使用. 当`NODE_ENV === 'production'`时它什么也不做.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.ignoredActions] Action types that are not checked.
+ * 不需要检查的action types
+ * @param {string[]} [options.ignoredActionPaths] Dot-separated action paths
+ * (such as `'meta.arg'`) that are not checked.
+ * 不需要检查的以点分隔的action路径(比如`'meta.arg'`)
+ * @param {string[]} [options.ignoredPaths] Dot-separated state paths that are
+ * not checked.
+ * 不需要检查的以点分隔的state路径
+ * @param {Function} [options.isSerializable] Decides whether a single value is
+ * serializable. Defaults to `isPlain`.
+ * 判断单个值是否可以被序列化, 默认为`isPlain`
+ *
+ * @returns {Function} A Redux middleware.
+ * 一个Redux中间件
+ */
+export default function createSerializableStateInvariantMiddleware(
+  options = {}
+) {
+  if (process.env.NODE_ENV === 'production') {
+    return () => next => action => next(action)
+  }
+
+  const {
+    ignoredActions = [],
+    ignoredActionPaths = [],
+    ignoredPaths = [],
+    isSerializable = isPlain
+  } = options
+
+  return ({ getState }) => next => action => {
+    const prevState = getState()
+    const result = next(action)
+
+    // 只检查普通对象的action, 其他的action应该已经被之前的中间件处理
+    if (isPlainObject(action) && ignoredActions.indexOf(action.type) === -1) {
+      const found = findNonSerializableValue(
+        action,
+        '',
+        isSerializable,
+        ignoredActionPaths
+      )
+      if (found) {
+        warning(
+          `A non-serializable value (${describe(found.value)}) was detected in ` +
+            `the action "${String(action.type)}", in the path "${found.path}".`
+        )
+      }
+    }
+
+    const state = getState()
+    if (state !== prevState) {
+      const found = findNonSerializableValue(
+        state,
+        '',
+        isSerializable,
+        ignoredPaths
+      )
+      if (found) {
+        warning(
+          `A non-serializable value (${describe(found.value)}) was detected in ` +
+            `the state, in the path "${found.path}", after the action ` +
+            `"${String(action.type)}".`
+        )
+      }
+    }
+
+    return result
+  }
+}
@@ -0,0 +1,163 @@
+// 从一份定义生成一个state部分(slice)的action types, action creators, reducer与selectors
+
+import createAction from './createAction'
+import createReducer from './createReducer'
+
+// 'a.b'或['a', 'b']形式的路径, 用于从根state中选出slice
+function getIn(state, path) {
+  const keys = Array.isArray(path) ? path : path.split('.')
+  return keys.reduce(
+    (value, key) => (value == null ? undefined : value[key]),
+    state
+  )
+}
+
+/**
+ * Creates a slice of the state tree from a single definition: namespaced
+ * action types, the matching action creators, a reducer and selectors, so
+ * they cannot drift apart.
+ * 从单独一份定义创建state tree的一个部分(slice): 带有命名空间的action types, 对应的
+ * action creators, reducer以及selectors, 使得它们不会彼此脱节.
+ *
+ * Each key of `reducers` becomes the action type `${name}/${key}`, an action
+ * creator in `slice.actions` (built with `createAction`, ready for
+ * `bindActionCreators`), and a case of `slice.reducer` (built with
+ * `createReducer`). A case may be a case reducer or `{ reducer, prepare }`.
+ * `reducers`的每个键都会成为action type `${name}/${key}`, `slice.actions`中的一个
+ * action creator(通过`createAction`创建, 可以直接交给`bindActionCreators`), 以及
+ * `slice.reducer`(通过`createReducer`创建)中的一个case. case可以是一个case reducer或者
+ * `{ reducer, prepare }`.
+ *
+ * Register the slice with `combineReducers({ [slice.name]: slice.reducer })`,
+ * or inject it into a running store with `slice.injectInto(reducerManager)`,
+ * which adds the reducer through `store.replaceReducer()`.
+ * 通过`combineReducers({ [slice.name]: slice.reducer })`注册slice, 或者通过
+ * `slice.injectInto(reducerManager)`将它注入到一个运行中的store, 它会通过
+ * `store.replaceReducer()`添加reducer.
+ *
+ * @param {Object} options
+ * @param {string} options.name The slice name, used as the action type prefix
+ * and as the state key.
+ * slice的名字, 作为action type的前缀以及state的键
+ * @param {any} options.initialState The initial state of the slice.
+ * slice的初始state
+ * @param {Object} [options.reducers] Case reducers, keyed by action name.
+ * 以action名为键的case reducers
+ * @param {Function} [options.extraReducers] `extraReducers(builder)` handles
+ * actions defined elsewhere, with the `createReducer` builder.
+ * `extraReducers(builder)`使用`createReducer`的builder处理在别处定义的actions
+ * @param {Object} [options.selectors] Selectors taking the slice state and
+ * any extra arguments. `slice.selectors` takes the root state instead.
+ * 接收slice的state以及额外参数的selectors. `slice.selectors`则接收根state.
+ * @param {boolean} [options.useDrafts] Passed to `createReducer`.
+ * 传递给`createReducer`
+ *
+ * @returns {Object} The slice: `{ name, reducer, actions, caseReducers,
+ * selectors, getSelectors, injectInto, getInitialState }`.
+ * slice: `{ name, reducer, actions, caseReducers, selectors, getSelectors,
+ * injectInto, getInitialState }`
+ */
+export default function createSlice(options = {}) {
+  const {
+    name,
+    initialState,
+    reducers = {},
+    extraReducers,
+    selectors = {},
+    useDrafts = false
+  } = options
+
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('Expected the slice name to be a non-empty string.')
+  }
+
+  if (
+    typeof extraReducers !== 'undefined' &&
+    typeof extraReducers !== 'function'
+  ) {
+    throw new Error('Expected extraReducers to be a builder callback.')
+  }
+
+  const actions = {}
+  const caseReducers = {}
+
+  Object.keys(reducers).forEach(key => {
+    const definition = reducers[key]
+    const type = `${name}/${key}`
+
+    if (typeof definition === 'function') {
+      caseReducers[key] = definition
+      actions[key] = createAction(type)
+    } else if (definition && typeof definition.reducer === 'function') {
+      caseReducers[key] = definition.reducer
+      actions[key] = createAction(type, definition.prepare)
+    } else {
+      throw new Error(
+        `Expected the reducer "${type}" to be a function or an object ` +
+          `with a reducer function.`
+      )
+    }
+  })
+
+  Object.keys(selectors).forEach(key => {
+    if (typeof selectors[key] !== 'function') {
+      throw new Error(`Expected the selector "${key}" to be a function.`)
+    }
+  })
+
+  const reducer = createReducer(
+    initialState,
+    builder => {
+      Object.keys(caseReducers).forEach(key => {
+        builder.addCase(actions[key], caseReducers[key])
+      })
+      if (extraReducers) {
+        extraReducers(builder)
+      }
+    },
+    { useDrafts }
+  )
+
+  function getSelectors(selectState = state => state[name]) {
+    return Object.keys(selectors).reduce(
+      (bound, key) => {
+        bound[key] = (state, ...args) =>
+          selectors[key](selectState(state), ...args)
+        return bound
+      },
+      { selectSlice: state => selectState(state) }
+    )
+  }
+
+  /**
+   * Injects the slice reducer into a running store through a reducer manager.
+   * 通过reducer manager将slice的reducer注入到一个运行中的store.
+   *
+   * @param {Object} manager A reducer manager from `createReducerManager`,
+   * attached to the store.
+   * 一个已经attach到store上的, 由`createReducerManager`创建的reducer manager
+   * @param {string} [path] Where to mount the slice. Defaults to its name.
+   * 挂载slice的位置, 默认为它的名字
+   * @returns {Object} The selectors, bound to that path.
+   * 绑定到该路径的selectors
+   */
+  function injectInto(manager, path = name) {
+    if (!manager || typeof manager.add !== 'function') {
+      throw new Error('Expected a reducer manager with an add method.')
+    }
+
+    manager.add(path, reducer)
+    return getSelectors(state => getIn(state, path))
+  }
+
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers,
+    selectors: getSelectors(),
+    getSelectors,
+    injectInto,
+    getInitialState: () => initialState
+  }
+}
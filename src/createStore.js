@@ -4,6 +4,13 @@ import $$observable from 'symbol-observable'
 
 import ActionTypes from './utils/actionTypes'
 import isPlainObject from './utils/isPlainObject'
+import warning from './utils/warning'
+import watchState from './utils/watchState'
+import createObservable, {
+  observeState,
+  $$asyncIterator
+} from './utils/observable'
+import validateNextReducer from './utils/validateNextReducer'
 
 /**
  * Creates a Redux store that holds the state tree.
@@ -68,6 +75,9 @@ export default function createStore(reducer, preloadedState, enhancer) {
   let currentListeners = []
   let nextListeners = currentListeners
   let isDispatching = false
+  let batchDepth = 0
+  let hasPendingNotification = false
+  let actionObservers = []
 
   // 确保NextListeners可以突变
   // 在执行listener时，如果subscribe或者unscbscribe都能保证当前的listener队列执行完毕
@@ -136,6 +146,12 @@ export default function createStore(reducer, preloadedState, enhancer) {
    */
   // 增加listener到维护的listeners数组, 在每次dispatch时调用
   function subscribe(listener) {
+
+    // subscribe(selector, listener, options)的形式交给watch处理
+    if (typeof arguments[1] === 'function') {
+      return watch(...arguments)
+    }
+
     if (typeof listener !== 'function') {
       throw new Error('Expected the listener to be a function.')
     }
@@ -177,6 +193,36 @@ export default function createStore(reducer, preloadedState, enhancer) {
     }
   }
 
+  /**
+   * Adds a change listener scoped to a slice of the state tree. The `selector`
+   * is run once per dispatch, and the `listener` is only called with
+   * `(nextValue, prevValue)` when the selected value has changed according to
+   * `equalityFn`. This is also available as `subscribe(selector, listener, options)`.
+   * 添加一个只关心state tree某一部分的change listener. 每次dispatch时`selector`会被调用
+   * 一次, 只有当`equalityFn`认为选出的值发生了改变时, `listener`才会以
+   * `(nextValue, prevValue)`被调用. 也可以通过`subscribe(selector, listener, options)`调用.
+   *
+   * The same snapshot semantics and restrictions as `subscribe()` apply.
+   * 与`subscribe()`有着相同的快照语义和限制.
+   *
+   * @param {Function} selector A function that picks a value from the state tree.
+   * 一个从state tree中选出值的函数
+   *
+   * @param {Function} listener A callback invoked with the next and previous
+   * selected values whenever the selected value changes.
+   * 当选出的值改变时, 以新值和旧值调用的回调函数
+   *
+   * @param {Object} [options] `equalityFn(prevValue, nextValue)` decides whether
+   * two selected values are equal. Defaults to strict equality.
+   * `equalityFn(prevValue, nextValue)`用来判断两个选出的值是否相等, 默认为严格相等
+   *
+   * @returns {Function} A function to remove this change listener.
+   * 一个移除这个change listener的函数
+   */
+  function watch(selector, listener, options) {
+    return watchState(getState, subscribe, selector, listener, options)
+  }
+
   /**
    * Dispatches an action. It is the only way to trigger a state change.
    * 分发一个action. 这是唯一的方法改变state
@@ -241,14 +287,140 @@ export default function createStore(reducer, preloadedState, enhancer) {
       isDispatching = false
     }
 
-    // 遍历调用listener
+    // 处于batch中时, 推迟到最外层batch结束时再通知listeners
+    if (batchDepth > 0) {
+      hasPendingNotification = true
+    } else {
+      notifyListeners()
+    }
+
+    notifyActionObservers(action)
+
+    return action
+  }
+
+  // 在listeners之后通知action$的observers. 一个observer抛出的错误不会阻止其他
+  // observers, 第一个错误会在所有observers都被通知之后重新抛出
+  function notifyActionObservers(action) {
+    const observers = actionObservers
+    let failure = null
+    for (let i = 0; i < observers.length; i++) {
+      try {
+        observers[i].next(action)
+      } catch (error) {
+        failure = failure || { error }
+      }
+    }
+
+    if (failure) {
+      throw failure.error
+    }
+  }
+
+  // 遍历调用listener
+  function notifyListeners() {
+    hasPendingNotification = false
     const listeners = (currentListeners = nextListeners)
     for (let i = 0; i < listeners.length; i++) {
       const listener = listeners[i]
       listener()
     }
+  }
 
-    return action
+  // 通知每个listener, 即使其中一些抛出错误. 用于batch的回调出错时, 这时重新抛出的是
+  // 回调的错误, listeners的错误只会被打印
+  function notifyAllListeners() {
+    hasPendingNotification = false
+    const listeners = (currentListeners = nextListeners)
+    for (let i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i]()
+      } catch (listenerError) {
+        warning(
+          `A listener threw while being notified of a failed batch: ` +
+            `${listenerError}`
+        )
+      }
+    }
+  }
+
+  /**
+   * Runs `fn` and defers listener notification until it returns. Every action
+   * dispatched inside `fn` is reduced immediately, but subscribers (and the
+   * `observable()` observers) are notified only once at the end. Nested batches
+   * collapse into the outermost one.
+   * 执行`fn`并且将listener的通知推迟到它返回之后. 在`fn`中分发的每个action都会被立即
+   * reduce, 但subscribers(以及`observable()`的observers)只会在最后被通知一次. 嵌套的
+   * batch会合并到最外层的batch中.
+   *
+   * If `fn` throws, the listeners are still notified of the actions that were
+   * already reduced before the error is rethrown. An error thrown by a listener
+   * then does not stop the other listeners and does not replace the error of
+   * `fn`; it is printed as a warning instead.
+   * 如果`fn`抛出错误, 在错误被重新抛出之前, listeners仍然会因为已经reduce的actions
+   * 被通知. 此时listener抛出的错误不会阻止其他listeners, 也不会替换`fn`的错误, 而是
+   * 会被作为警告打印.
+   *
+   * @param {Function} fn A callback that dispatches any number of actions.
+   * 一个分发任意数量actions的回调函数
+   *
+   * @returns {any} The value returned by `fn`.
+   * `fn`的返回值
+   */
+  function batch(fn) {
+    if (typeof fn !== 'function') {
+      throw new Error('Expected the batch callback to be a function.')
+    }
+
+    batchDepth++
+    let result
+    try {
+      result = fn()
+    } catch (error) {
+      batchDepth--
+      if (batchDepth === 0 && hasPendingNotification) {
+        notifyAllListeners()
+      }
+      throw error
+    }
+
+    batchDepth--
+    if (batchDepth === 0 && hasPendingNotification) {
+      notifyListeners()
+    }
+    return result
+  }
+
+  /**
+   * Dispatches several actions in a row with a single listener notification.
+   * 连续分发多个actions, 只通知一次listeners
+   *
+   * @param {Array} actions The actions to dispatch, in order.
+   * 需要按顺序分发的actions
+   *
+   * @returns {Array} The values returned by each `dispatch()` call.
+   * 每次`dispatch()`调用的返回值
+   */
+  function dispatchBatch(actions) {
+    if (!Array.isArray(actions)) {
+      throw new Error('Expected the actions to be an array.')
+    }
+
+    return batch(() => actions.map(action => dispatch(action)))
+  }
+
+  /**
+   * Returns a Promise that resolves once all tracked async work has settled.
+   * The base store runs no async work, so it resolves right away;
+   * `applyMiddleware()` tracks the Promises returned through its chain.
+   * 返回一个在所有被追踪的异步工作完成后resolve的Promise. 基础的store不执行任何异步
+   * 工作, 所以它会立即resolve; `applyMiddleware()`会追踪经过它的中间件链返回的Promise.
+   *
+   * @returns {Promise} A Promise that resolves when the store is idle.
+   * 一个在store空闲时resolve的Promise
+   */
+  function whenIdle() {
+    return Promise.resolve()
   }
 
   /**
@@ -268,9 +440,7 @@ export default function createStore(reducer, preloadedState, enhancer) {
    * @returns {void}
    */
   function replaceReducer(nextReducer) {
-    if (typeof nextReducer !== 'function') {
-      throw new Error('Expected the nextReducer to be a function.')
-    }
+    validateNextReducer(nextReducer)
 
     currentReducer = nextReducer
     dispatch({ type: ActionTypes.REPLACE }) // 使用nextReducer重新计算state
@@ -279,48 +449,35 @@ export default function createStore(reducer, preloadedState, enhancer) {
   /**
    * Interoperability point for observable/reactive libraries.
    * 与observable, reactive库的接口
-   * @returns {observable} A minimal observable of state changes.
-   * 对state changes的小型的观察
+   *
+   * The observable emits the current state on subscription, then the new
+   * state whenever it changes. Besides `subscribe`, it has the `select`
+   * (distinct until changed), `map`, `filter`, `distinctUntilChanged` and
+   * `take` operators, and can be consumed with `for await`. Unsubscribing,
+   * completing or erroring tears the subscription down. An error thrown by the
+   * `next` of an observer is passed to its `error`.
+   * observable在订阅时发出当前的state, 之后每当state改变时发出新的state. 除了
+   * `subscribe`, 它还有`select`(直到改变时才发出), `map`, `filter`,
+   * `distinctUntilChanged`与`take`操作符, 并且可以使用`for await`读取. 取消订阅,
+   * 完成或者出错都会拆除订阅. observer的`next`抛出的错误会被交给它的`error`.
+   *
+   * @returns {observable} An observable of state changes.
+   * 对state changes的观察
    * For more information, see the observable proposal:
    * https://github.com/tc39/proposal-observable
    */
   function observable() {
-    const outerSubscribe = subscribe
-    return {
-      /**
-       * The minimal observable subscription method.
-       * 小型的观察订阅方法
-       * @param {Object} observer Any object that can be used as an observer.
-       * The observer object should have a `next` method.
-       * 可以是能够被当作observer使用的任何对象. observer object应该有一个`next`方法
-       * @returns {subscription} An object with an `unsubscribe` method that can
-       * be used to unsubscribe the observable from the store, and prevent further
-       * emission of values from the observable.
-       * 一个有着能够用来从store取消订阅(unsubscribe)observable并且阻止从
-       * observable获得更多数据的方法的对象.
-       */
-      subscribe(observer) {
-        if (typeof observer !== 'object' || observer === null) {
-          throw new TypeError('Expected the observer to be an object.')
-        }
-
-        function observeState() {
-          if (observer.next) {
-            observer.next(getState())
-          }
-        }
-
-        observeState()
-        const unsubscribe = outerSubscribe(observeState)
-        return { unsubscribe }
-      },
-
-      [$$observable]() {
-        return this
-      }
-    }
+    return observeState(getState, subscribe)
   }
 
+  // 每个被reduce的action都会立即发送给action$的observers, 不受batch的影响
+  const action$ = createObservable(observer => {
+    actionObservers = actionObservers.concat(observer)
+    return () => {
+      actionObservers = actionObservers.filter(o => o !== observer)
+    }
+  })
+
   // When a store is created, an "INIT" action is dispatched so that every
   // reducer returns their initial state. This effectively populates
   // the initial state tree.
@@ -330,9 +487,15 @@ export default function createStore(reducer, preloadedState, enhancer) {
 
   return {
     dispatch,
+    batch,
+    dispatchBatch,
     subscribe,
+    watch,
     getState,
     replaceReducer,
-    [$$observable]: observable
+    whenIdle,
+    action$,
+    [$$observable]: observable,
+    [$$asyncIterator]: () => observable()[$$asyncIterator]()
   }
 }
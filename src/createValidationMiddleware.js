@@ -0,0 +1,151 @@
+// 在actions到达reducers之前, 根据为每个action type注册的schema检查它们的中间件
+
+import validateSchema from './utils/validateSchema'
+import warning from './utils/warning'
+import isPlainObject from './utils/isPlainObject'
+
+/**
+ * The action dispatched when an action is rejected. Its `payload` is
+ * `{ action, errors }`, where each error is `{ path, message }`.
+ * 当一个action被拒绝时分发的action. 它的`payload`为`{ action, errors }`, 其中每个
+ * 错误为`{ path, message }`.
+ */
+export const VALIDATION_FAILED = '@@validation/VALIDATION_FAILED'
+
+const MODES = ['reject', 'warn', 'off']
+
+// 将自定义验证函数的各种返回值统一为错误数组
+function normalizeErrors(result) {
+  if (result === true || typeof result === 'undefined' || result === null) {
+    return []
+  }
+  if (result === false) {
+    return [{ path: '', message: 'is invalid' }]
+  }
+  if (typeof result === 'string') {
+    return [{ path: '', message: result }]
+  }
+  if (Array.isArray(result)) {
+    return result.map(error =>
+      typeof error === 'string' ? { path: '', message: error } : error
+    )
+  }
+  throw new Error(
+    'A validator function must return a boolean, a string or an array of errors.'
+  )
+}
+
+function formatErrors(errors) {
+  return errors
+    .map(({ path, message }) => `action${path ? `.${path}` : ''} ${message}`)
+    .join('; ')
+}
+
+/**
+ * Creates a middleware that validates actions against a schema registered for
+ * their type, before they reach the reducers.
+ * 创建一个在actions到达reducers之前, 根据为它们的type注册的schema检查它们的中间件.
+ *
+ * A schema is either an object in a small subset of JSON Schema (`type`,
+ * `properties`, `required`, `additionalProperties`, `items`, `enum`, `const`,
+ * `minimum`, `maximum`, `minLength`, `maxLength`, `pattern`, `minItems`,
+ * `maxItems`) describing the whole action, or a function `validate(action)`
+ * returning `true`, `false`, an error message or an array of errors.
+ * schema既可以是描述整个action的JSON Schema子集(`type`, `properties`, `required`,
+ * `additionalProperties`, `items`, `enum`, `const`, `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems`, `maxItems`)对象, 也可以是一个
+ * 返回`true`, `false`, 错误信息或者错误数组的`validate(action)`函数.
+ *
+ * In `'reject'` mode an invalid action never reaches the reducers: a
+ * `VALIDATION_FAILED` action is dispatched instead, and returned. In `'warn'`
+ * mode a warning with the paths of the errors is printed and the action goes
+ * through. In `'off'` mode nothing is checked.
+ * 在`'reject'`模式下, 不合法的action不会到达reducers: 会分发并返回一个
+ * `VALIDATION_FAILED` action. 在`'warn'`模式下, 会打印一个带有错误路径的警告, action
+ * 照常通过. 在`'off'`模式下不做任何检查.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.schemas] Schemas keyed by action type.
+ * 以action type作为键的schemas
+ * @param {string|Object} [options.mode] `'reject'`, `'warn'` or `'off'`, or an
+ * object mapping `NODE_ENV` values to modes, with a `default` key as the
+ * fallback. Defaults to `'warn'` in production and `'reject'` otherwise.
+ * `'reject'`, `'warn'`或者`'off'`, 也可以是将`NODE_ENV`的值映射到模式的对象, 其中
+ * `default`键作为后备. 默认在production下为`'warn'`, 否则为`'reject'`.
+ *
+ * @returns {Object} `{ middleware, register, unregister }`. `register(type,
+ * schema)` adds or replaces the schema of a type at runtime.
+ * `{ middleware, register, unregister }`. `register(type, schema)`在运行时添加或
+ * 替换一个type的schema.
+ */
+export default function createValidationMiddleware(options = {}) {
+  const { schemas: initialSchemas = {} } = options
+  let { mode = { production: 'warn', default: 'reject' } } = options
+
+  if (isPlainObject(mode)) {
+    mode = mode.hasOwnProperty(process.env.NODE_ENV)
+      ? mode[process.env.NODE_ENV]
+      : mode.default
+  }
+
+  if (MODES.indexOf(mode) === -1) {
+    throw new Error(
+      `Expected the validation mode to be one of "${MODES.join('", "')}", ` +
+        `instead received ${String(mode)}.`
+    )
+  }
+
+  const schemas = {}
+
+  function register(type, schema) {
+    if (typeof schema !== 'function' && !isPlainObject(schema)) {
+      throw new Error('Expected the schema to be a function or a plain object.')
+    }
+
+    schemas[type] = schema
+  }
+
+  function unregister(type) {
+    delete schemas[type]
+  }
+
+  Object.keys(initialSchemas).forEach(type =>
+    register(type, initialSchemas[type])
+  )
+
+  function validate(action) {
+    const schema = schemas[action.type]
+    return typeof schema === 'function'
+      ? normalizeErrors(schema(action))
+      : validateSchema(action, schema)
+  }
+
+  const middleware = ({ dispatch }) => next => action => {
+    if (
+      mode === 'off' ||
+      !isPlainObject(action) ||
+      action.type === VALIDATION_FAILED ||
+      !schemas.hasOwnProperty(action.type)
+    ) {
+      return next(action)
+    }
+
+    const errors = validate(action)
+    if (errors.length === 0) {
+      return next(action)
+    }
+
+    if (mode === 'warn') {
+      warning(`Invalid action "${String(action.type)}": ${formatErrors(errors)}`)
+      return next(action)
+    }
+
+    return dispatch({
+      type: VALIDATION_FAILED,
+      payload: { action, errors },
+      error: true
+    })
+  }
+
+  return { middleware, register, unregister }
+}
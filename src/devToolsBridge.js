@@ -0,0 +1,207 @@
+// 将store的actions, state与diff通过transport发送给远程的devtools, 并接收远程的命令
+
+import ActionTypes from './utils/actionTypes'
+import diffState from './utils/diffState'
+import warning from './utils/warning'
+import createOutbox from './utils/createOutbox'
+import validateNextReducer from './utils/validateNextReducer'
+
+const JUMP_TO_STATE = '@@redux/devtools/JUMP_TO_STATE'
+
+const identity = value => value
+
+/**
+ * Creates a store enhancer that streams every action, the resulting state and
+ * a diff of the changed paths to a transport (see `transports.js`), so that
+ * a store can be inspected where no browser DevTools extension is available.
+ * 创建一个将每个action, 产生的state以及改变的路径的diff发送到transport(见
+ * `transports.js`)的store enhancer, 使得在没有浏览器DevTools扩展的地方也能查看store.
+ *
+ * Messages sent: `{ type: 'INIT', name, state }` when the store is created,
+ * `{ type: 'ACTION', index, action, state, diff, timestamp }` after every
+ * action, and `{ type: 'EXPORT', session }` in reply to an export command.
+ * 发送的消息: store创建时发送`{ type: 'INIT', name, state }`, 每个action之后发送
+ * `{ type: 'ACTION', index, action, state, diff, timestamp }`, 以及回复导出命令的
+ * `{ type: 'EXPORT', session }`.
+ *
+ * Commands received:
+ * 接收的命令:
+ *
+ * - `{ type: 'DISPATCH', action }` dispatches an action.
+ * - `{ type: 'JUMP_TO_STATE', index }` restores a recorded state.
+ * - `{ type: 'EXPORT' }` replies with the recorded session.
+ * - `{ type: 'IMPORT', session }` replaces the recorded session and replays it.
+ * - `{ type: 'PAUSE_RECORDING', paused }` stops or resumes recording.
+ * - `{ type: 'DISPATCH', action }` 分发一个action.
+ * - `{ type: 'JUMP_TO_STATE', index }` 恢复一个记录的state.
+ * - `{ type: 'EXPORT' }` 回复记录的session.
+ * - `{ type: 'IMPORT', session }` 替换记录的session并重新执行.
+ * - `{ type: 'PAUSE_RECORDING', paused }` 停止或恢复记录.
+ *
+ * Only sanitized actions and states ever leave the store, so the sanitizers
+ * are the place to strip secrets. The diff is computed between sanitized
+ * states as well.
+ * 只有经过sanitize的actions与states会离开store, 所以sanitizers是去除敏感信息的地方.
+ * diff同样是在经过sanitize的states之间计算的.
+ *
+ * @param {Object} options
+ * @param {Object} options.transport An object with `send(message)` and
+ * `listen(handler)`.
+ * 一个有着`send(message)`与`listen(handler)`的对象
+ * @param {string} [options.name] A name identifying the store.
+ * 用于识别store的名称
+ * @param {Function} [options.actionSanitizer] `(action, index) => action`.
+ * @param {Function} [options.stateSanitizer] `(state, index) => state`.
+ * @param {number} [options.maxAge] The maximum number of recorded actions.
+ * Defaults to 50.
+ * 记录的actions的最大数量, 默认为50
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function devToolsBridge(options = {}) {
+  const {
+    transport,
+    name = 'store',
+    actionSanitizer = identity,
+    stateSanitizer = identity,
+    maxAge = 50
+  } = options
+
+  if (
+    !transport ||
+    typeof transport.send !== 'function' ||
+    typeof transport.listen !== 'function'
+  ) {
+    throw new Error(
+      'Expected the transport to be an object with send and listen methods.'
+    )
+  }
+
+  if (typeof maxAge !== 'number' || !(maxAge >= 1)) {
+    throw new Error('Expected the maxAge to be a number greater than 0.')
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    let currentReducer = reducer
+    let entries = []
+    let nextIndex = 0
+    let isPaused = false
+
+    function send(message) {
+      try {
+        transport.send(message)
+      } catch (error) {
+        warning(`Failed to send a message to the devtools: ${error}`)
+      }
+    }
+
+    function record(action, prevState, nextState) {
+      const index = nextIndex++
+      entries.push({ index, action, state: nextState })
+      if (entries.length > maxAge) {
+        entries.shift()
+      }
+
+      const sanitizedState = stateSanitizer(nextState, index)
+      send({
+        type: 'ACTION',
+        index,
+        action: actionSanitizer(action, index),
+        state: sanitizedState,
+        diff: diffState(stateSanitizer(prevState, index - 1), sanitizedState),
+        timestamp: Date.now()
+      })
+    }
+
+    // sanitizers与transport不在reducer中被调用, 而是在reduce之后
+    const outbox = createOutbox(args => record(...args))
+
+    function liftedReducer(state, action) {
+      if (action.type === JUMP_TO_STATE) {
+        return action.state
+      }
+
+      const nextState = currentReducer(state, action)
+      if (!isPaused && action.type !== ActionTypes.INIT) {
+        outbox.push([action, state, nextState])
+      }
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+    const { dispatch } = outbox.attach(store)
+
+    const initialState = store.getState()
+
+    function jumpToState(index) {
+      const entry = entries.filter(e => e.index === index)[0]
+      if (!entry) {
+        warning(`The devtools requested the state ${index}, which is not recorded.`)
+        return
+      }
+
+      store.dispatch({ type: JUMP_TO_STATE, state: entry.state })
+    }
+
+    function exportSession() {
+      send({
+        type: 'EXPORT',
+        session: {
+          actions: entries.map(({ index, action }) => actionSanitizer(action, index)),
+          states: entries.map(({ index, state }) => stateSanitizer(state, index))
+        }
+      })
+    }
+
+    // 从初始state开始重新执行导入的actions
+    function importSession(session) {
+      if (!session || !Array.isArray(session.actions)) {
+        warning('The devtools sent a session without an actions array.')
+        return
+      }
+
+      entries = []
+      store.dispatch({ type: JUMP_TO_STATE, state: initialState })
+      session.actions.forEach(action => store.dispatch(action))
+    }
+
+    const commands = {
+      DISPATCH: message => store.dispatch(message.action),
+      JUMP_TO_STATE: message => jumpToState(message.index),
+      EXPORT: exportSession,
+      IMPORT: message => importSession(message.session),
+      PAUSE_RECORDING: message => {
+        isPaused = message.paused !== false
+      }
+    }
+
+    const unlisten = transport.listen(message => {
+      const command = message && commands[message.type]
+      if (!command) {
+        warning(`The devtools sent an unknown command "${message && message.type}".`)
+        return
+      }
+
+      try {
+        command(message)
+      } catch (error) {
+        warning(`The devtools command "${message.type}" failed: ${error}`)
+      }
+    })
+
+    send({ type: 'INIT', name, state: stateSanitizer(initialState, -1) })
+
+    return {
+      ...store,
+      dispatch,
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        currentReducer = nextReducer
+        store.replaceReducer(liftedReducer)
+      },
+      disconnectDevTools: unlisten
+    }
+  }
+}
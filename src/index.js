@@ -2,9 +2,45 @@
 
 import createStore from './createStore'
 import combineReducers from './combineReducers'
+import createReducerManager from './createReducerManager'
 import bindActionCreators from './bindActionCreators'
+import createAction from './createAction'
+import createReducer from './createReducer'
+import createSlice from './createSlice'
+import createMachineReducer, { matches } from './createMachineReducer'
 import applyMiddleware from './applyMiddleware'
 import compose from './compose'
+import thunk, { createThunkMiddleware } from './thunk'
+import promise, { createPromiseMiddleware } from './promise'
+import createSelector, { createStructuredSelector } from './createSelector'
+import createListenerMiddleware from './createListenerMiddleware'
+import createQueryApi, { fetchBaseQuery } from './createQueryApi'
+import createLogger from './createLogger'
+import createValidationMiddleware, {
+  VALIDATION_FAILED
+} from './createValidationMiddleware'
+import createImmutableStateInvariantMiddleware from './createImmutableStateInvariantMiddleware'
+import createSerializableStateInvariantMiddleware, {
+  isPlain
+} from './createSerializableStateInvariantMiddleware'
+import produce, { isDraft, original } from './produce'
+import createEntityAdapter from './createEntityAdapter'
+import timeTravel from './timeTravel'
+import persistState, { REHYDRATE } from './persistState'
+import { createMemoryStorage, createFileStorage } from './storage'
+import profileStore from './profileStore'
+import isolateErrors, { ERROR } from './isolateErrors'
+import transactional from './transactional'
+import recordSession, { replayLog } from './recordSession'
+import { serializeState, deserializeState } from './serializeState'
+import devToolsBridge from './devToolsBridge'
+import syncState from './syncState'
+import {
+  createMemoryTransportPair,
+  createMessagePortTransport,
+  createIpcTransport,
+  createWebSocketTransport
+} from './transports'
 import warning from './utils/warning'
 import __DO_NOT_USE__ActionTypes from './utils/actionTypes'
 
@@ -31,8 +67,52 @@ if (
 export {
   createStore,
   combineReducers,
+  createReducerManager,
   bindActionCreators,
+  createAction,
+  createReducer,
+  createSlice,
+  createMachineReducer,
+  matches,
   applyMiddleware,
   compose,
+  thunk,
+  createThunkMiddleware,
+  promise,
+  createPromiseMiddleware,
+  createSelector,
+  createStructuredSelector,
+  produce,
+  isDraft,
+  original,
+  createEntityAdapter,
+  createListenerMiddleware,
+  createQueryApi,
+  fetchBaseQuery,
+  createLogger,
+  createValidationMiddleware,
+  VALIDATION_FAILED,
+  createImmutableStateInvariantMiddleware,
+  createSerializableStateInvariantMiddleware,
+  isPlain,
+  timeTravel,
+  persistState,
+  REHYDRATE,
+  createMemoryStorage,
+  createFileStorage,
+  profileStore,
+  isolateErrors,
+  ERROR,
+  transactional,
+  recordSession,
+  replayLog,
+  serializeState,
+  deserializeState,
+  devToolsBridge,
+  syncState,
+  createMemoryTransportPair,
+  createMessagePortTransport,
+  createIpcTransport,
+  createWebSocketTransport,
   __DO_NOT_USE__ActionTypes
 }
@@ -0,0 +1,237 @@
+// 隔离reducers与listeners中的错误, 使得一个出错的部分不会影响其他部分的store enhancer
+
+import $$observable from 'symbol-observable'
+
+import warning from './utils/warning'
+import createObservable, {
+  observeState,
+  $$asyncIterator
+} from './utils/observable'
+import { setActiveErrorBoundary } from './utils/errorBoundary'
+import validateNextReducer from './utils/validateNextReducer'
+
+export const ERROR = '@@redux/ERROR'
+
+function defaultOnError(error, { phase, key }) {
+  warning(
+    `An error was isolated in the ${phase}` +
+      `${typeof key === 'undefined' ? '' : ` "${key}"`}: ${error}`
+  )
+}
+
+/**
+ * Creates a store enhancer that isolates errors, so that one failing part
+ * does not take the others down:
+ * 创建一个隔离错误的store enhancer, 使得一个出错的部分不会影响其他的部分:
+ *
+ * - When a listener throws, the other listeners still run. This covers the
+ *   selectors and listeners of `watch`, and the observers of the observable
+ *   and of `action$`.
+ * - When a slice reducer of `combineReducers` throws, that slice keeps its
+ *   previous state and the other slices are updated as usual. A slice that has
+ *   no previous state yet (during initialization) still throws.
+ * - 当一个listener抛出错误时, 其他的listeners仍然会执行. 这包括`watch`的selectors与
+ *   listeners, 以及observable与`action$`的observers.
+ * - 当`combineReducers`的一个reducer抛出错误时, 该部分保留它之前的state, 其他部分照常
+ *   更新. 还没有之前的state(初始化期间)的部分仍然会抛出错误.
+ *
+ * Every isolated error is passed to `onError(error, { phase, key, action })`,
+ * where `phase` is `'reducer'` or `'listener'`, `key` is the key of the slice
+ * or the name of the listener, and `action` is the action being reduced (for
+ * listeners, the last reduced action).
+ * 每个被隔离的错误都会被传递给`onError(error, { phase, key, action })`, 其中`phase`为
+ * `'reducer'`或`'listener'`, `key`为该部分的键或者listener的名字, `action`为正在被
+ * reduce的action(对于listeners, 为最后一个被reduce的action).
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.onError] Reports the isolated errors. Defaults to
+ * printing a warning.
+ * 报告被隔离的错误, 默认为打印一个警告
+ * @param {boolean} [options.dispatchErrorAction] Whether to dispatch an
+ * `ERROR` action (`'@@redux/ERROR'`) once the dispatch that failed is over,
+ * for error-reporting reducers. Its `payload` is `{ name, message }` and its
+ * `meta` is `{ phase, key, actionType }`. Defaults to `false`.
+ * 是否在出错的dispatch结束后分发一个`ERROR` action(`'@@redux/ERROR'`), 用于报告错误的
+ * reducers. 它的`payload`为`{ name, message }`, `meta`为`{ phase, key, actionType }`.
+ * 默认为`false`.
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function isolateErrors(options = {}) {
+  const { onError = defaultOnError, dispatchErrorAction = false } = options
+
+  if (typeof onError !== 'function') {
+    throw new Error('Expected onError to be a function.')
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    let currentReducer = reducer
+    let lastAction
+    let pendingErrors = []
+    let isDispatchingErrors = false
+
+    function report(error, info) {
+      onError(error, info)
+
+      // 处理ERROR action时出现的错误不会再产生ERROR action, 避免无限循环
+      if (dispatchErrorAction && !isDispatchingErrors) {
+        pendingErrors.push({ error, info })
+      }
+    }
+
+    const errorBoundary = { report }
+
+    function liftedReducer(state, action) {
+      lastAction = action
+      const previousErrorBoundary = setActiveErrorBoundary(errorBoundary)
+      try {
+        return currentReducer(state, action)
+      } finally {
+        setActiveErrorBoundary(previousErrorBoundary)
+      }
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+
+    // 在dispatch结束之后才分发ERROR actions, 因为reducers不能分发actions
+    function dispatchErrors() {
+      if (isDispatchingErrors) {
+        return
+      }
+
+      isDispatchingErrors = true
+      try {
+        while (pendingErrors.length > 0) {
+          const { error, info } = pendingErrors.shift()
+          store.dispatch({
+            type: ERROR,
+            error: true,
+            payload: {
+              name: error && error.name,
+              message: error && error.message ? error.message : String(error)
+            },
+            meta: {
+              phase: info.phase,
+              key: info.key,
+              actionType: info.action && info.action.type
+            }
+          })
+        }
+      } finally {
+        isDispatchingErrors = false
+      }
+    }
+
+    function withErrorActions(fn) {
+      return (...args) => {
+        try {
+          return fn(...args)
+        } finally {
+          dispatchErrors()
+        }
+      }
+    }
+
+    function reportListenerError(error, fn) {
+      report(error, {
+        phase: 'listener',
+        key: fn.name || undefined,
+        action: lastAction
+      })
+    }
+
+    function isolateListener(listener) {
+      if (typeof listener !== 'function') {
+        return listener
+      }
+
+      return function isolatedListener(...args) {
+        try {
+          listener(...args)
+        } catch (error) {
+          reportListenerError(error, listener)
+        }
+      }
+    }
+
+    // subscribe(selector, listener, options)的形式中, listener是第二个参数
+    function subscribe(...args) {
+      if (typeof args[1] === 'function') {
+        return watch(...args)
+      }
+      return store.subscribe(isolateListener(args[0]))
+    }
+
+    // 出错的selector返回它上一次的值, 出错的equalityFn视为相等, 使得listener不被调用
+    function watch(selector, listener, watchOptions) {
+      let lastValue
+      const isolatedSelector =
+        typeof selector === 'function'
+          ? state => {
+              try {
+                lastValue = selector(state)
+              } catch (error) {
+                reportListenerError(error, selector)
+              }
+              return lastValue
+            }
+          : selector
+
+      const equalityFn = watchOptions && watchOptions.equalityFn
+      const isolatedOptions =
+        typeof equalityFn === 'function'
+          ? {
+              ...watchOptions,
+              equalityFn: (a, b) => {
+                try {
+                  return equalityFn(a, b)
+                } catch (error) {
+                  reportListenerError(error, equalityFn)
+                  return true
+                }
+              }
+            }
+          : watchOptions
+
+      return store.watch(
+        isolatedSelector,
+        isolateListener(listener),
+        isolatedOptions
+      )
+    }
+
+    // 通过被隔离的subscribe观察state, 使得observers(以及select等操作符)抛出的错误
+    // 也会被隔离
+    function observable() {
+      return observeState(store.getState, subscribe)
+    }
+
+    const action$ = createObservable(
+      observer =>
+        store.action$.subscribe({
+          next: isolateListener(action => observer.next(action)),
+          error: error => observer.error(error),
+          complete: () => observer.complete()
+        }).unsubscribe
+    )
+
+    return {
+      ...store,
+      dispatch: withErrorActions(store.dispatch),
+      batch: withErrorActions(store.batch),
+      dispatchBatch: withErrorActions(store.dispatchBatch),
+      subscribe,
+      watch,
+      action$,
+      [$$observable]: observable,
+      [$$asyncIterator]: () => observable()[$$asyncIterator](),
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        currentReducer = nextReducer
+        withErrorActions(store.replaceReducer)(liftedReducer)
+      }
+    }
+  }
+}
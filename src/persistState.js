@@ -0,0 +1,258 @@
+// 持久化(persistence) store enhancer, 将state保存到storage中, 并在创建store后恢复(rehydrate)
+
+import warning from './utils/warning'
+import isPlainObject from './utils/isPlainObject'
+import validateNextReducer from './utils/validateNextReducer'
+
+/**
+ * The action dispatched once the persisted state has been loaded. Its
+ * `payload` is the loaded (and migrated) state, or `undefined` if nothing was
+ * stored. Reducers may handle it to merge the loaded state themselves.
+ * 在持久化的state被加载后分发的action. 它的`payload`是加载(并迁移)后的state, 如果没有
+ * 存储任何东西则为`undefined`. reducers可以处理它来自行合并加载的state.
+ */
+export const REHYDRATE = 'persist/REHYDRATE'
+
+// 默认的合并方式, 将加载的state浅合并进当前的state
+function mergeState(state, loadedState) {
+  if (isPlainObject(state) && isPlainObject(loadedState)) {
+    return { ...state, ...loadedState }
+  }
+
+  return loadedState
+}
+
+/**
+ * Creates a store enhancer that saves the state to a storage after every
+ * change and loads it back when the store is created.
+ * 创建一个在每次state改变后将其保存到storage, 并且在store创建时将其重新加载的store
+ * enhancer.
+ *
+ * Once the stored state is loaded, a `REHYDRATE` action is dispatched. If the
+ * reducer does not handle it (returns the same state), the loaded state is
+ * merged with `options.merge`. Nothing is written before that happens, so the
+ * initial state never overwrites the stored one.
+ * 存储的state加载完成后, 一个`REHYDRATE` action会被分发. 如果reducer没有处理它(返回了
+ * 相同的state), 加载的state将通过`options.merge`进行合并. 在这之前不会有任何写入, 所以
+ * 初始的state永远不会覆盖存储的state.
+ *
+ * The enhanced store gets a `persistor` with `flush()`, `purge()`, `pause()`,
+ * `resume()` and `whenRehydrated()`. `flush()` waits for the stored state to
+ * be loaded before writing.
+ * 扩展后的store拥有一个`persistor`, 它有着`flush()`, `purge()`, `pause()`,
+ * `resume()`与`whenRehydrated()`方法. `flush()`会等待存储的state加载完成后再写入.
+ *
+ * @param {Object} options
+ * @param {string} options.key The name the state is stored under.
+ * 存储state时使用的名称
+ * @param {Object} options.storage Any object with `getItem` and `setItem`
+ * methods, which may return Promises, such as `localStorage` or the adapters
+ * from `createMemoryStorage` and `createFileStorage`.
+ * 任何有着`getItem`与`setItem`方法(可以返回Promise)的对象, 比如`localStorage`,
+ * 或者`createMemoryStorage`与`createFileStorage`创建的适配器.
+ * @param {string[]} [options.whitelist] The top-level keys (the slices of
+ * `combineReducers`) to persist. Defaults to every key.
+ * 需要持久化的顶层键(即`combineReducers`的各个部分). 默认为所有的键.
+ * @param {string[]} [options.blacklist] The top-level keys not to persist.
+ * 不需要持久化的顶层键
+ * @param {number} [options.throttle] The minimum time in milliseconds between
+ * two writes. Defaults to writing after every change.
+ * 两次写入之间的最小间隔(毫秒). 默认在每次改变后写入.
+ * @param {number} [options.version] The version of the persisted state.
+ * 持久化的state的版本
+ * @param {Object} [options.migrations] Functions keyed by version, each taking
+ * the state of the previous version and returning the state for its own.
+ * 以版本号作为键的函数, 每个函数接收之前版本的state, 并返回它所对应版本的state.
+ * @param {Function} [options.serialize] Turns the stored record into a string.
+ * Defaults to `JSON.stringify`.
+ * 将存储的记录转化为字符串, 默认为`JSON.stringify`
+ * @param {Function} [options.deserialize] Turns a string back into the stored
+ * record. Defaults to `JSON.parse`.
+ * 将字符串转化回存储的记录, 默认为`JSON.parse`
+ * @param {Function|boolean} [options.merge] `merge(state, loadedState)` used
+ * when the reducer ignores `REHYDRATE`. Defaults to a shallow merge; pass
+ * `false` to leave merging entirely to the reducers.
+ * 当reducer忽略`REHYDRATE`时使用的`merge(state, loadedState)`. 默认为浅合并; 传递
+ * `false`则完全交给reducers来合并.
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function persistState(options = {}) {
+  const {
+    key,
+    storage,
+    whitelist,
+    blacklist,
+    throttle = 0,
+    version = -1,
+    migrations = {},
+    serialize = JSON.stringify,
+    deserialize = JSON.parse,
+    merge = mergeState
+  } = options
+
+  if (typeof key !== 'string') {
+    throw new Error('Expected the persist key to be a string.')
+  }
+
+  if (
+    !storage ||
+    typeof storage.getItem !== 'function' ||
+    typeof storage.setItem !== 'function'
+  ) {
+    throw new Error(
+      'Expected the storage to be an object with getItem and setItem methods.'
+    )
+  }
+
+  const storageKey = `persist:${key}`
+
+  // 根据whitelist与blacklist选出需要持久化的部分
+  function pickState(state) {
+    if (!isPlainObject(state) || (!whitelist && !blacklist)) {
+      return state
+    }
+
+    return Object.keys(state).reduce((picked, stateKey) => {
+      if (
+        (!whitelist || whitelist.indexOf(stateKey) !== -1) &&
+        (!blacklist || blacklist.indexOf(stateKey) === -1)
+      ) {
+        picked[stateKey] = state[stateKey]
+      }
+      return picked
+    }, {})
+  }
+
+  // 按版本号从小到大依次执行迁移函数
+  function migrate(record) {
+    if (record.version > version) {
+      warning(
+        `The state persisted under "${key}" has version ${record.version}, ` +
+          `which is newer than the current version ${version}. It will be ignored.`
+      )
+      return undefined
+    }
+
+    return Object.keys(migrations)
+      .map(Number)
+      .filter(v => v > record.version && v <= version)
+      .sort((a, b) => a - b)
+      .reduce((state, v) => migrations[v](state), record.state)
+  }
+
+  function liftReducer(reducer) {
+    return function persistReducer(state, action) {
+      const nextState = reducer(state, action)
+      if (
+        action.type === REHYDRATE &&
+        action.key === key &&
+        typeof action.payload !== 'undefined' &&
+        nextState === state &&
+        merge
+      ) {
+        return merge(state, action.payload)
+      }
+      return nextState
+    }
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    const store = createStore(liftReducer(reducer), preloadedState, enhancer)
+
+    let isRehydrated = false
+    let isPaused = false
+    let lastState
+    let timer = null
+
+    function write() {
+      clearTimeout(timer)
+      timer = null
+      const record = { version, state: pickState(store.getState()) }
+
+      return Promise.resolve()
+        .then(() => storage.setItem(storageKey, serialize(record)))
+        .catch(error => {
+          warning(`Failed to persist the state under "${key}": ${error}`)
+        })
+    }
+
+    function handleChange() {
+      if (!isRehydrated || isPaused) {
+        return
+      }
+
+      const state = store.getState()
+      if (state === lastState) {
+        return
+      }
+      lastState = state
+
+      // 节流: 在一个时间窗口内只写入一次最新的state
+      if (throttle > 0) {
+        if (timer === null) {
+          timer = setTimeout(write, throttle)
+        }
+      } else {
+        write()
+      }
+    }
+
+    store.subscribe(handleChange)
+
+    const rehydrated = Promise.resolve()
+      .then(() => storage.getItem(storageKey))
+      .then(raw => (raw ? migrate(deserialize(raw)) : undefined))
+      .then(
+        payload => ({ payload }),
+        error => {
+          warning(`Failed to load the state persisted under "${key}": ${error}`)
+          return { payload: undefined, error }
+        }
+      )
+      .then(result => {
+        isRehydrated = true
+        lastState = store.getState()
+        store.dispatch({ type: REHYDRATE, key, ...result })
+      })
+      .catch(error => {
+        warning(
+          `Failed to rehydrate the state persisted under "${key}": ${error}`
+        )
+      })
+
+    const persistor = {
+      // 在加载完成之前写入会用初始的state覆盖存储的state
+      flush: () => rehydrated.then(write),
+      purge() {
+        clearTimeout(timer)
+        timer = null
+        return Promise.resolve().then(
+          () =>
+            typeof storage.removeItem === 'function'
+              ? storage.removeItem(storageKey)
+              : storage.setItem(storageKey, '')
+        )
+      },
+      pause() {
+        isPaused = true
+      },
+      resume() {
+        isPaused = false
+        handleChange()
+      },
+      whenRehydrated: () => rehydrated
+    }
+
+    return {
+      ...store,
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        store.replaceReducer(liftReducer(nextReducer))
+      },
+      persistor
+    }
+  }
+}
@@ -0,0 +1,246 @@
+// 基于draft的不可变更新: 在draft上"直接修改", 产生结构共享的新state
+
+import isPlainObject from './utils/isPlainObject'
+
+const DRAFT_STATE =
+  typeof Symbol === 'function' ? Symbol('draft-state') : '@@redux/draft-state'
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key)
+
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if `produce` can create a draft of the value, which
+ * is the case for plain objects and arrays.
+ */
+export function isDraftable(value) {
+  return isPlainObject(value) || Array.isArray(value)
+}
+
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the value is a draft created by `produce`.
+ */
+export function isDraft(value) {
+  return !!value && !!value[DRAFT_STATE]
+}
+
+/**
+ * @param {Object} draft A draft created by `produce`.
+ * @returns {any} The value the draft was created from, before any change.
+ */
+export function original(draft) {
+  if (!isDraft(draft)) {
+    throw new Error('Expected the argument of original() to be a draft.')
+  }
+  return draft[DRAFT_STATE].base
+}
+
+function latest(state) {
+  return state.copy || state.base
+}
+
+function prepareCopy(state) {
+  if (!state.copy) {
+    state.copy = Array.isArray(state.base)
+      ? state.base.slice()
+      : { ...state.base }
+  }
+}
+
+// 一个draft被修改时, 它所有的上层draft也被视为被修改
+function markModified(state) {
+  if (!state.modified) {
+    state.modified = true
+    prepareCopy(state)
+    if (state.parent) {
+      markModified(state.parent)
+    }
+  }
+}
+
+function createDraft(base, parent, revokes) {
+  const state = { base, copy: null, modified: false, parent }
+
+  const traps = {
+    get(target, key) {
+      if (key === DRAFT_STATE) {
+        return state
+      }
+
+      const source = latest(state)
+      const value = source[key]
+      if (!hasOwn(source, key) || !isDraftable(value)) {
+        return value
+      }
+
+      // 子对象在第一次被读取时才创建draft
+      if (value === state.base[key]) {
+        prepareCopy(state)
+        state.copy[key] = createDraft(value, state, revokes)
+        return state.copy[key]
+      }
+      return value
+    },
+    set(target, key, value) {
+      if (!state.modified) {
+        const source = latest(state)
+        const current = source[key]
+        const isSame =
+          current === value ||
+          (isDraft(current) &&
+            current[DRAFT_STATE].base === value &&
+            !current[DRAFT_STATE].modified)
+        if (isSame && hasOwn(source, key)) {
+          return true
+        }
+        markModified(state)
+      }
+      state.copy[key] = value
+      return true
+    },
+    deleteProperty(target, key) {
+      if (hasOwn(latest(state), key)) {
+        markModified(state)
+        delete state.copy[key]
+      }
+      return true
+    },
+    has(target, key) {
+      return key in latest(state)
+    },
+    ownKeys() {
+      return Reflect.ownKeys(latest(state))
+    },
+    getOwnPropertyDescriptor(target, key) {
+      const source = latest(state)
+      const descriptor = Reflect.getOwnPropertyDescriptor(source, key)
+      if (!descriptor) {
+        return descriptor
+      }
+
+      // 数组的length在target上是不可配置的, 这里需要保持一致
+      return {
+        writable: true,
+        configurable: !(Array.isArray(source) && key === 'length'),
+        enumerable: descriptor.enumerable,
+        value: traps.get(target, key)
+      }
+    },
+    defineProperty() {
+      throw new Error('Object.defineProperty() cannot be used on a draft.')
+    },
+    setPrototypeOf() {
+      throw new Error('Object.setPrototypeOf() cannot be used on a draft.')
+    }
+  }
+
+  const target = Array.isArray(base) ? [] : {}
+  const { proxy, revoke } = Proxy.revocable(target, traps)
+  revokes.push(revoke)
+  return proxy
+}
+
+// 将draft转化为普通的值: 没有修改的draft返回原来的值, 修改过的返回它的副本
+function finalize(value) {
+  if (isDraft(value)) {
+    const state = value[DRAFT_STATE]
+    if (!state.modified) {
+      return state.base
+    }
+
+    // 只需要处理draft以及新赋的值, 没有被访问的分支保持原样
+    const copy = state.copy
+    Object.keys(copy).forEach(key => {
+      if (isDraft(copy[key]) || copy[key] !== state.base[key]) {
+        copy[key] = finalize(copy[key])
+      }
+    })
+    return copy
+  }
+
+  // 新创建的对象中可能包含draft
+  if (isDraftable(value) && !Object.isFrozen(value)) {
+    Object.keys(value).forEach(key => {
+      const child = value[key]
+      if (isDraft(child) || isDraftable(child)) {
+        value[key] = finalize(child)
+      }
+    })
+  }
+  return value
+}
+
+function deepFreeze(value) {
+  if (!isDraftable(value) || Object.isFrozen(value)) {
+    return value
+  }
+
+  Object.freeze(value)
+  Object.keys(value).forEach(key => deepFreeze(value[key]))
+  return value
+}
+
+/**
+ * Produces the next state by applying `recipe` to a draft of `base`. The
+ * recipe may change the draft as if it were mutable; the result is a new,
+ * immutable state where unchanged branches keep their identity, which is what
+ * the reference checks in `combineReducers` rely on.
+ * 通过将`recipe`应用到`base`的draft上来产生下一个state. recipe可以像修改可变对象一样
+ * 修改draft; 结果是一个新的不可变的state, 其中没有改变的分支保持它们的引用, 这正是
+ * `combineReducers`中的引用检查所依赖的.
+ *
+ * If nothing was changed, `base` itself is returned. The recipe may also
+ * return a new value instead of changing the draft (but not both). In
+ * development, the result is deeply frozen so accidental mutations throw.
+ * 如果没有任何改变, 会返回`base`本身. recipe也可以返回一个新的值来代替修改draft(但不能
+ * 两者都做). 在开发环境中, 结果会被深度冻结, 使得意外的修改会抛出错误.
+ *
+ * Only plain objects and arrays are drafted. Drafts may not be used once
+ * `produce` has returned.
+ * 只有普通对象与数组会被创建draft. draft在`produce`返回之后不能再被使用.
+ *
+ * @param {any} base The current state.
+ * 当前的state
+ *
+ * @param {Function} recipe `recipe(draft)` changes the draft or returns the
+ * next state.
+ * `recipe(draft)`修改draft或者返回下一个state
+ *
+ * @returns {any} The next state.
+ * 下一个state
+ */
+export default function produce(base, recipe) {
+  if (typeof recipe !== 'function') {
+    throw new Error('Expected the recipe to be a function.')
+  }
+
+  if (!isDraftable(base)) {
+    const result = recipe(base)
+    return typeof result === 'undefined' ? base : result
+  }
+
+  const revokes = []
+  const draft = createDraft(base, null, revokes)
+  let result
+  try {
+    result = recipe(draft)
+    if (typeof result !== 'undefined' && result !== draft) {
+      if (draft[DRAFT_STATE].modified) {
+        throw new Error(
+          'A recipe may either return a new value or modify its draft, ' +
+            'but not both.'
+        )
+      }
+    } else {
+      result = draft
+    }
+    result = finalize(result)
+  } finally {
+    revokes.forEach(revoke => revoke())
+  }
+
+  if (process.env.NODE_ENV !== 'production' && result !== base) {
+    deepFreeze(result)
+  }
+  return result
+}
@@ -0,0 +1,330 @@
+// 分析每次dispatch的时间花费在reducers, 中间件还是listeners上的store enhancer
+
+import $$observable from 'symbol-observable'
+
+import now from './utils/now'
+import warning from './utils/warning'
+import isPlainObject from './utils/isPlainObject'
+import watchState from './utils/watchState'
+import { observeState, $$asyncIterator } from './utils/observable'
+import { setActiveProfiler } from './utils/profiler'
+import validateNextReducer from './utils/validateNextReducer'
+
+// 保存最近maxSamples个样本, 用于计算百分位数
+function createSeries(maxSamples) {
+  let samples = []
+  let count = 0
+  let total = 0
+  let max = 0
+
+  return {
+    add(duration) {
+      samples.push(duration)
+      if (samples.length > maxSamples) {
+        samples.shift()
+      }
+      count++
+      total += duration
+      max = Math.max(max, duration)
+    },
+    stats() {
+      const sorted = samples.slice().sort((a, b) => a - b)
+      const percentile = p =>
+        sorted.length === 0
+          ? 0
+          : sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)]
+      return {
+        count,
+        total,
+        mean: count === 0 ? 0 : total / count,
+        p50: percentile(0.5),
+        p95: percentile(0.95),
+        max
+      }
+    },
+    reset() {
+      samples = []
+      count = 0
+      total = 0
+      max = 0
+    }
+  }
+}
+
+function createSeriesMap(maxSamples) {
+  let series = {}
+
+  return {
+    add(key, duration) {
+      if (!series.hasOwnProperty(key)) {
+        series[key] = createSeries(maxSamples)
+      }
+      series[key].add(duration)
+    },
+    stats() {
+      return Object.keys(series).reduce((stats, key) => {
+        stats[key] = series[key].stats()
+        return stats
+      }, {})
+    },
+    reset() {
+      series = {}
+    }
+  }
+}
+
+/**
+ * Creates a store enhancer that measures where the time of every dispatch
+ * goes: the reducers (with a timing for every key of `combineReducers`, nested
+ * keys joined with dots), the middleware chain, and every listener, including
+ * the listeners of `watch` and the observers of the observable.
+ * 创建一个测量每次dispatch的时间花费在哪里的store enhancer: reducers(`combineReducers`
+ * 的每个key都有单独的计时, 嵌套的key以点连接), 中间件链, 以及每个listener(包括`watch`
+ * 的listeners与observable的observers).
+ *
+ * Every action that reaches the reducer is profiled, including the ones that
+ * middleware or thunks dispatch. Functions and other values that are not
+ * actions are not. Put the enhancer first in `compose()`, before
+ * `applyMiddleware()`, so that the middleware time is included. The middleware
+ * time is whatever part of a dispatch through `store.dispatch` was spent
+ * outside the reducers and the listeners, and is counted for the action that
+ * was dispatched.
+ * 每个到达reducer的action都会被分析, 包括中间件或者thunks分发的actions, 而函数等不是
+ * action的值不会. 将它放在`compose()`的第一个, 即`applyMiddleware()`之前, 这样才能
+ * 包含中间件的时间. 中间件的时间是一次通过`store.dispatch`的dispatch中不在reducers与
+ * listeners中的那部分时间, 计入被分发的action.
+ *
+ * `store.getProfile()` returns `{ dispatch, reducer, middleware, listeners,
+ * reducerKeys, listenerTimings, actionTypes, slowestActionTypes }`, where each
+ * statistic is `{ count, total, mean, p50, p95, max }` in milliseconds.
+ * `store.resetProfile()` clears them.
+ * `store.getProfile()`返回`{ dispatch, reducer, middleware, listeners,
+ * reducerKeys, listenerTimings, actionTypes, slowestActionTypes }`, 其中每项统计
+ * 为以毫秒为单位的`{ count, total, mean, p50, p95, max }`. `store.resetProfile()`
+ * 会清空它们.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.warnAfter] Prints a warning when a dispatch takes
+ * longer than this many milliseconds.
+ * 当一次dispatch花费的时间超过这个毫秒数时打印一个警告
+ * @param {number} [options.maxSamples] How many recent samples each statistic
+ * keeps to compute percentiles. Defaults to 1000.
+ * 每项统计为计算百分位数保留的最近样本的数量, 默认为1000
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function profileStore(options = {}) {
+  const { warnAfter, maxSamples = 1000 } = options
+
+  if (typeof warnAfter !== 'undefined' && typeof warnAfter !== 'number') {
+    throw new Error('Expected warnAfter to be a number.')
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    const dispatchSeries = createSeries(maxSamples)
+    const reducerSeries = createSeries(maxSamples)
+    const middlewareSeries = createSeries(maxSamples)
+    const listenerSeries = createSeries(maxSamples)
+    const reducerKeySeries = createSeriesMap(maxSamples)
+    const listenerTimingSeries = createSeriesMap(maxSamples)
+    const actionTypeSeries = createSeriesMap(maxSamples)
+
+    // 正在reduce或者通知listeners的actions的样本, 在listeners中嵌套分发的action在最后
+    let openSamples = []
+    // 通过store.dispatch的最外层dispatch, 以及其中完成的样本
+    let outer = null
+    let listenerCount = 0
+    let keyPath = []
+
+    const profiler = {
+      enter(key) {
+        keyPath.push(key)
+      },
+      exit(key, duration) {
+        reducerKeySeries.add(keyPath.join('.'), duration)
+        keyPath.pop()
+      }
+    }
+
+    function record(sample, middlewareTime) {
+      const { type, reducer: reducerTime, listeners: listenerTime } = sample
+      const total = reducerTime + listenerTime + middlewareTime
+      dispatchSeries.add(total)
+      reducerSeries.add(reducerTime)
+      listenerSeries.add(listenerTime)
+      middlewareSeries.add(middlewareTime)
+      actionTypeSeries.add(type, total)
+
+      if (typeof warnAfter === 'number' && total > warnAfter) {
+        warning(
+          `Dispatching "${type}" took ${total.toFixed(2)} ms ` +
+            `(reducers ${reducerTime.toFixed(2)} ms, ` +
+            `middleware ${middlewareTime.toFixed(2)} ms, ` +
+            `listeners ${listenerTime.toFixed(2)} ms), ` +
+            `more than the ${warnAfter} ms threshold.`
+        )
+      }
+    }
+
+    // 每个被reduce的action开始一个样本
+    function liftReducer(nextReducer) {
+      return function profiledReducer(state, action) {
+        const sample = {
+          action,
+          type: String(action.type),
+          reducer: 0,
+          listeners: 0
+        }
+        const previousProfiler = setActiveProfiler(profiler)
+        const start = now()
+        try {
+          const nextState = nextReducer(state, action)
+          openSamples.push(sample)
+          return nextState
+        } finally {
+          sample.reducer = now() - start
+          setActiveProfiler(previousProfiler)
+          keyPath = []
+        }
+      }
+    }
+
+    const store = createStore(liftReducer(reducer), preloadedState, enhancer)
+
+    // action$在listeners被通知之后发出action, 此时它的样本完成
+    store.action$.subscribe(action => {
+      while (openSamples.length > 0) {
+        const sample = openSamples.pop()
+        if (sample.action === action) {
+          if (outer) {
+            outer.samples.push(sample)
+          } else {
+            record(sample, 0)
+          }
+          return
+        }
+      }
+    })
+
+    function dispatch(action) {
+      if (outer || !isPlainObject(action)) {
+        return store.dispatch(action)
+      }
+
+      outer = { samples: [] }
+      const start = now()
+      try {
+        return store.dispatch(action)
+      } finally {
+        const total = now() - start
+        const { samples } = outer
+        outer = null
+
+        // 中间件的时间计入被分发的action, 中间件替换了它时计入第一个样本
+        const measured = samples.reduce(
+          (sum, sample) => sum + sample.reducer + sample.listeners,
+          0
+        )
+        const own =
+          samples.find(sample => sample.action === action) || samples[0]
+        samples.forEach(sample =>
+          record(sample, sample === own ? Math.max(0, total - measured) : 0)
+        )
+      }
+    }
+
+    function profileListener(listener, name) {
+      return function profiledListener(...args) {
+        const sample = openSamples[openSamples.length - 1]
+        const start = now()
+        try {
+          listener(...args)
+        } finally {
+          const duration = now() - start
+          listenerTimingSeries.add(name, duration)
+          if (sample) {
+            sample.listeners += duration
+          }
+        }
+      }
+    }
+
+    function nameOf(listener) {
+      return (listener && listener.name) || `listener#${++listenerCount}`
+    }
+
+    function subscribe(...args) {
+      if (typeof args[1] === 'function') {
+        return watch(...args)
+      }
+
+      const [listener] = args
+      if (typeof listener !== 'function') {
+        return store.subscribe(listener)
+      }
+      return store.subscribe(profileListener(listener, nameOf(listener)))
+    }
+
+    // selector与listener一起计时, 以listener的名字记录
+    function watch(selector, listener, watchOptions) {
+      const name = nameOf(listener)
+      return watchState(
+        store.getState,
+        handleChange => store.subscribe(profileListener(handleChange, name)),
+        selector,
+        listener,
+        watchOptions
+      )
+    }
+
+    function observable() {
+      return observeState(store.getState, subscribe)
+    }
+
+    function getProfile() {
+      const actionTypes = actionTypeSeries.stats()
+      return {
+        dispatch: dispatchSeries.stats(),
+        reducer: reducerSeries.stats(),
+        middleware: middlewareSeries.stats(),
+        listeners: listenerSeries.stats(),
+        reducerKeys: reducerKeySeries.stats(),
+        listenerTimings: listenerTimingSeries.stats(),
+        actionTypes,
+        slowestActionTypes: Object.keys(actionTypes)
+          .map(type => ({ type, ...actionTypes[type] }))
+          .sort((a, b) => b.p95 - a.p95)
+          .slice(0, 5)
+      }
+    }
+
+    function resetProfile() {
+      ;[
+        dispatchSeries,
+        reducerSeries,
+        middlewareSeries,
+        listenerSeries,
+        reducerKeySeries,
+        listenerTimingSeries,
+        actionTypeSeries
+      ].forEach(series => series.reset())
+    }
+
+    return {
+      ...store,
+      dispatch,
+      subscribe,
+      watch,
+      [$$observable]: observable,
+      [$$asyncIterator]: () => observable()[$$asyncIterator](),
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        store.replaceReducer(liftReducer(nextReducer))
+      },
+      getProfile,
+      resetProfile
+    }
+  }
+}
@@ -0,0 +1,67 @@
+// 内置的promise中间件, 将payload为Promise的action转化为pending/fulfilled/rejected三个action
+
+import isPromise from './utils/isPromise'
+
+export const PENDING = 'pending'
+export const FULFILLED = 'fulfilled'
+export const REJECTED = 'rejected'
+
+/**
+ * Creates a middleware that handles actions whose `payload` is a Promise.
+ * Instead of the original action, it dispatches `${type}/pending` right away,
+ * then `${type}/fulfilled` with the resolved value or `${type}/rejected` with
+ * the error (and `error: true`) once the Promise settles.
+ * 创建一个处理`payload`为Promise的actions的中间件. 它会立即分发`${type}/pending`来代替
+ * 原本的action, 然后在Promise完成时分发带有结果的`${type}/fulfilled`, 或者带有错误
+ * (以及`error: true`)的`${type}/rejected`.
+ *
+ * All three actions share the same `meta`: the original action's `meta` plus a
+ * `requestId` unique to this call and a `requestStatus`.
+ * 三个action共享相同的`meta`: 原始action的`meta`加上本次调用唯一的`requestId`与
+ * `requestStatus`.
+ *
+ * @returns {Function} A Redux middleware. Dispatching a promise action returns
+ * a Promise that resolves to the fulfilled or rejected action, even when the
+ * payload rejects. It only rejects when dispatching the fulfilled or rejected
+ * action throws, for example in a reducer.
+ * 一个Redux中间件. 分发一个promise action会返回一个resolve为fulfilled或rejected
+ * action的Promise, 即使payload被reject也是如此. 只有当分发fulfilled或rejected
+ * action时抛出错误(比如在reducer中)时, 它才会reject.
+ */
+export function createPromiseMiddleware() {
+  let nextRequestId = 0
+
+  return ({ dispatch }) => next => action => {
+    if (!action || !isPromise(action.payload)) {
+      return next(action)
+    }
+
+    const { type, payload } = action
+    const requestId = String(++nextRequestId)
+    const getMeta = requestStatus => ({
+      ...action.meta,
+      requestId,
+      requestStatus
+    })
+
+    dispatch({ type: `${type}/${PENDING}`, meta: getMeta(PENDING) })
+
+    return payload.then(
+      value =>
+        dispatch({
+          type: `${type}/${FULFILLED}`,
+          payload: value,
+          meta: getMeta(FULFILLED)
+        }),
+      error =>
+        dispatch({
+          type: `${type}/${REJECTED}`,
+          payload: error,
+          error: true,
+          meta: getMeta(REJECTED)
+        })
+    )
+  }
+}
+
+export default createPromiseMiddleware()
@@ -0,0 +1,224 @@
+// 记录preloadedState与每个被分发的action, 并能够重放记录的store enhancer
+
+import checksum from './utils/checksum'
+import validateNextReducer from './utils/validateNextReducer'
+
+const LOG_VERSION = 1
+
+/**
+ * Creates a store enhancer that records the `preloadedState` and every
+ * dispatched action, with its timestamp and a checksum of the state it
+ * produced, into a log that can be saved with `JSON.stringify()` and replayed
+ * with `replayLog()`. Attach the log to a bug report to reproduce it, or turn
+ * recorded sessions into reducer regression tests.
+ * 创建一个记录`preloadedState`以及每个被分发的action(包括它的时间戳与它所产生的state的
+ * 校验和)的store enhancer. 记录可以使用`JSON.stringify()`保存, 并使用`replayLog()`重放.
+ * 将记录附加在bug报告中可以重现bug, 也可以将记录的会话转化为reducer的回归测试.
+ *
+ * The store gets a `recorder` object with `getLog()`, which returns
+ * `{ version, startedAt, preloadedState, entries }` where each entry is
+ * `{ action, timestamp, checksum }`, and `clear()`, which starts a new log
+ * from the current state.
+ * store会拥有一个`recorder`对象, 它有着返回`{ version, startedAt, preloadedState,
+ * entries }`的`getLog()`(其中每条记录为`{ action, timestamp, checksum }`), 以及从当前
+ * state开始一份新的记录的`clear()`.
+ *
+ * Only the state and the actions are recorded, so they should be
+ * serializable for the log to survive `JSON.stringify()`.
+ * 只有state与actions会被记录, 所以它们应该是可序列化的, 使得记录在`JSON.stringify()`
+ * 之后仍然完整.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.checksum] Whether to compute a checksum of the
+ * state after every action. Defaults to `true`. Without checksums,
+ * `replayLog()` cannot detect where a replay diverges.
+ * 是否在每个action之后计算state的校验和, 默认为`true`. 没有校验和时, `replayLog()`
+ * 无法检测重放在哪里出现了偏差.
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function recordSession(options = {}) {
+  const { checksum: withChecksum = true } = options
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    let currentReducer = reducer
+    let startedAt = Date.now()
+    let baseState = preloadedState
+    let entries = []
+
+    // 日志必须包含每个被reduce的action(包括中间件与thunks分发的), 重放时才能得到相同的
+    // state与checksum
+    function liftedReducer(state, action) {
+      const nextState = currentReducer(state, action)
+      entries.push({
+        action,
+        timestamp: Date.now(),
+        checksum: withChecksum ? checksum(nextState) : undefined
+      })
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+
+    const recorder = {
+      getLog: () => ({
+        version: LOG_VERSION,
+        startedAt,
+        preloadedState: baseState,
+        entries: entries.slice()
+      }),
+      clear() {
+        startedAt = Date.now()
+        baseState = store.getState()
+        entries = []
+      }
+    }
+
+    return {
+      ...store,
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        currentReducer = nextReducer
+        store.replaceReducer(liftedReducer)
+      },
+      recorder
+    }
+  }
+}
+
+/**
+ * Replays a log recorded by `recordSession()` through a reducer, step by step
+ * from its `preloadedState`, and stops at the first step whose state does not
+ * match the recorded checksum.
+ * 从记录的`preloadedState`开始, 将`recordSession()`记录的log逐步通过reducer重放, 并在
+ * 第一个state与记录的校验和不一致的步骤停止.
+ *
+ * The result is `{ state, steps, mismatch }`: the rebuilt state, how many
+ * steps were applied, and `null` or `{ index, action, expected, actual }`
+ * describing the step that diverged.
+ * 结果为`{ state, steps, mismatch }`: 重建的state, 应用了多少个步骤, 以及`null`或者
+ * 描述出现偏差的步骤的`{ index, action, expected, actual }`.
+ *
+ * @param {Function} reducer The reducer to replay the actions through.
+ * 用于重放actions的reducer
+ *
+ * @param {Object} log A log returned by `store.recorder.getLog()`, possibly
+ * after a round trip through JSON.
+ * `store.recorder.getLog()`返回的log, 可以经过JSON的序列化与反序列化
+ *
+ * @param {Object} [options]
+ * @param {number|Function} [options.until] The index of the last step to
+ * replay, or `until(entry, index)` returning `true` once the replay should
+ * stop after that step. Defaults to replaying every step.
+ * 最后一个重放的步骤的index, 或者在重放应该在该步骤之后停止时返回`true`的
+ * `until(entry, index)`. 默认重放所有步骤.
+ * @param {number} [options.speed] Replays in real time, scaled by this factor
+ * (`2` is twice as fast), following the recorded timestamps. The result is
+ * then returned as a Promise.
+ * 按照记录的时间戳以真实的时间重放, 并以这个倍数缩放(`2`为两倍速). 这时结果会以
+ * Promise的形式返回.
+ * @param {Function} [options.onStep] `onStep(state, entry, index)` is called
+ * after every step, for example to render the replay.
+ * 在每个步骤之后被调用的`onStep(state, entry, index)`, 比如用于渲染重放的过程
+ *
+ * @returns {Object|Promise} The result of the replay, or a Promise for it when
+ * `speed` is given.
+ * 重放的结果, 当给出`speed`时为它的Promise
+ */
+export function replayLog(reducer, log, options = {}) {
+  const { until, speed, onStep } = options
+
+  if (typeof reducer !== 'function') {
+    throw new Error('Expected the reducer to be a function.')
+  }
+
+  if (!log || !Array.isArray(log.entries)) {
+    throw new Error('Expected the log to be an object with an entries array.')
+  }
+
+  if (log.version !== LOG_VERSION) {
+    throw new Error(
+      `Expected the log version to be ${LOG_VERSION}, ` +
+        `instead received ${String(log.version)}.`
+    )
+  }
+
+  if (
+    typeof speed !== 'undefined' &&
+    !(typeof speed === 'number' && speed > 0)
+  ) {
+    throw new Error('Expected the speed to be a positive number.')
+  }
+
+  const { entries } = log
+  const shouldStop =
+    typeof until === 'function'
+      ? until
+      : (entry, index) => typeof until === 'number' && index >= until
+
+  let state = log.preloadedState
+  let steps = 0
+  let mismatch = null
+
+  // 应用一个步骤, 返回是否应该继续重放
+  function step(index) {
+    const entry = entries[index]
+    state = reducer(state, entry.action)
+    steps++
+
+    if (typeof entry.checksum === 'string') {
+      const actual = checksum(state)
+      if (actual !== entry.checksum) {
+        mismatch = {
+          index,
+          action: entry.action,
+          expected: entry.checksum,
+          actual
+        }
+      }
+    }
+
+    if (onStep) {
+      onStep(state, entry, index)
+    }
+    return !mismatch && !shouldStop(entry, index)
+  }
+
+  const result = () => ({ state, steps, mismatch })
+
+  if (typeof speed === 'undefined') {
+    for (let i = 0; i < entries.length; i++) {
+      if (!step(i)) {
+        break
+      }
+    }
+    return result()
+  }
+
+  return new Promise((resolve, reject) => {
+    function next(index) {
+      if (index >= entries.length) {
+        resolve(result())
+        return
+      }
+
+      const elapsed =
+        index > 0 ? entries[index].timestamp - entries[index - 1].timestamp : 0
+      setTimeout(() => {
+        try {
+          if (step(index)) {
+            next(index + 1)
+          } else {
+            resolve(result())
+          }
+        } catch (error) {
+          reject(error)
+        }
+      }, Math.max(0, elapsed / speed) || 0)
+    }
+
+    next(0)
+  })
+}
@@ -0,0 +1,94 @@
+// 将state序列化为可以安全地嵌入HTML的字符串, 用于服务端渲染(SSR)
+
+const TYPE_KEY = '__serializedType__'
+
+// 转义在<script>中可能提前结束脚本或者导致解析错误的字符
+const UNSAFE_CHARS = /[<>&\u2028\u2029]/g
+const ESCAPED_CHARS = {
+  '<': '\\u003C',
+  '>': '\\u003E',
+  '&': '\\u0026',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+}
+
+/**
+ * Serializes a state tree into a JSON string that can be embedded in an HTML
+ * `<script>` tag. Characters such as `<`, `>`, `&`, U+2028 and U+2029 are
+ * escaped, so a value containing `</script>` cannot end the script early.
+ * Dates (including invalid ones), Maps and Sets are encoded so that
+ * `deserializeState` restores them.
+ * 将state tree序列化为可以嵌入HTML的`<script>`标签的JSON字符串. `<`, `>`, `&`,
+ * U+2028与U+2029等字符会被转义, 所以包含`</script>`的值无法提前结束脚本. Date(包括
+ * 无效的Date), Map与Set会被编码, 使得`deserializeState`能够恢复它们.
+ *
+ * @param {any} state The state to serialize, usually `store.getState()`.
+ * 需要序列化的state, 通常为`store.getState()`
+ *
+ * @returns {string} The serialized state.
+ * 序列化后的state
+ */
+export function serializeState(state) {
+  const json = JSON.stringify(state, function(key, value) {
+
+    // Date在调用replacer之前已经被toJSON转化为字符串, 所以需要读取原始的值
+    const original = this[key]
+    // 无效的Date调用toISOString会抛出RangeError, 以null表示
+    if (original instanceof Date) {
+      return {
+        [TYPE_KEY]: 'Date',
+        value: isNaN(original.getTime()) ? null : original.toISOString()
+      }
+    }
+    if (original instanceof Map) {
+      return { [TYPE_KEY]: 'Map', value: Array.from(original.entries()) }
+    }
+    if (original instanceof Set) {
+      return { [TYPE_KEY]: 'Set', value: Array.from(original.values()) }
+    }
+    return value
+  })
+
+  if (typeof json === 'undefined') {
+    throw new Error(
+      'Expected the state to be serializable, instead received undefined.'
+    )
+  }
+
+  return json.replace(UNSAFE_CHARS, char => ESCAPED_CHARS[char])
+}
+
+/**
+ * Turns a string produced by `serializeState` back into a state tree that can
+ * be passed to `createStore` as `preloadedState`.
+ * 将`serializeState`产生的字符串转化回state tree, 使得它能够作为`preloadedState`传递
+ * 给`createStore`.
+ *
+ * @param {string} serialized The serialized state.
+ * 序列化后的state
+ *
+ * @returns {any} The state.
+ * state
+ */
+export function deserializeState(serialized) {
+  if (typeof serialized !== 'string') {
+    throw new Error('Expected the serialized state to be a string.')
+  }
+
+  return JSON.parse(serialized, (key, value) => {
+    if (!value || typeof value !== 'object' || !value.hasOwnProperty(TYPE_KEY)) {
+      return value
+    }
+
+    switch (value[TYPE_KEY]) {
+      case 'Date':
+        return new Date(value.value === null ? NaN : value.value)
+      case 'Map':
+        return new Map(value.value)
+      case 'Set':
+        return new Set(value.value)
+      default:
+        return value
+    }
+  })
+}
@@ -0,0 +1,101 @@
+// 用于persistState的storage适配器, 任何有getItem/setItem方法的对象都可以作为storage
+
+/**
+ * Creates an in-memory storage adapter. Handy for tests and for environments
+ * without any persistent storage.
+ * 创建一个存储在内存中的storage适配器. 适用于测试以及没有持久化存储的环境.
+ *
+ * @param {Object} [initialItems] Items the storage starts with, keyed by name.
+ * storage初始时拥有的数据, 以名称作为键
+ *
+ * @returns {Object} A storage with `getItem`, `setItem` and `removeItem`.
+ * 一个有着`getItem`, `setItem`与`removeItem`方法的storage
+ */
+export function createMemoryStorage(initialItems = {}) {
+  const items = { ...initialItems }
+
+  return {
+    getItem(key) {
+      return items.hasOwnProperty(key) ? items[key] : null
+    },
+    setItem(key, value) {
+      items[key] = String(value)
+    },
+    removeItem(key) {
+      delete items[key]
+    }
+  }
+}
+
+/**
+ * Creates a storage adapter for Node that keeps every item in a single JSON
+ * file. Node's `fs` module is passed in rather than imported, so that bundles
+ * for the browser do not pull in Node built-ins.
+ * 创建一个用于Node的storage适配器, 它将所有的数据保存在一个JSON文件中. Node的`fs`模块
+ * 通过参数传入而不是直接引入, 使得浏览器的打包结果不会包含Node的内置模块.
+ *
+ * Writes are queued, so concurrent calls never interleave.
+ * 写入操作会排队进行, 所以并发的调用不会相互交错.
+ *
+ * @param {string} filePath The path of the JSON file.
+ * JSON文件的路径
+ *
+ * @param {Object} fs Node's `fs` module.
+ * Node的`fs`模块
+ *
+ * @returns {Object} A storage whose `getItem`, `setItem` and `removeItem`
+ * methods return Promises.
+ * 一个`getItem`, `setItem`与`removeItem`方法都返回Promise的storage
+ */
+export function createFileStorage(filePath, fs) {
+  if (typeof filePath !== 'string') {
+    throw new Error('Expected the filePath to be a string.')
+  }
+
+  if (!fs || !fs.promises) {
+    throw new Error('Expected the fs argument to be the Node "fs" module.')
+  }
+
+  let queue = Promise.resolve()
+
+  function readItems() {
+    return fs.promises.readFile(filePath, 'utf8').then(
+      content => (content ? JSON.parse(content) : {}),
+      error => {
+        if (error.code === 'ENOENT') {
+          return {}
+        }
+        throw error
+      }
+    )
+  }
+
+  // 读取-修改-写入的过程需要排队进行, 避免并发的写入互相覆盖
+  function update(updater) {
+    const result = queue.then(() =>
+      readItems().then(items =>
+        fs.promises.writeFile(filePath, JSON.stringify(updater(items)), 'utf8')
+      )
+    )
+    queue = result.catch(() => {})
+    return result
+  }
+
+  return {
+    getItem(key) {
+      return queue
+        .then(readItems)
+        .then(items => (items.hasOwnProperty(key) ? items[key] : null))
+    },
+    setItem(key, value) {
+      return update(items => ({ ...items, [key]: String(value) }))
+    },
+    removeItem(key) {
+      return update(items => {
+        const nextItems = { ...items }
+        delete nextItems[key]
+        return nextItems
+      })
+    }
+  }
+}
@@ -0,0 +1,280 @@
+// 在多个上下文(workers, 标签页, 进程)之间同步actions的store enhancer
+
+import warning from './utils/warning'
+import createOutbox from './utils/createOutbox'
+import validateNextReducer from './utils/validateNextReducer'
+
+const SET_STATE = '@@redux/sync/SET_STATE'
+
+// 较早创建的上下文有着较小的id, 因此会成为leader. 随机的部分使得同时创建的上下文也能
+// 分出胜负
+function createId() {
+  return (
+    Date.now()
+      .toString(36)
+      .padStart(10, '0') +
+    '-' +
+    Math.random()
+      .toString(36)
+      .substring(2, 10)
+  )
+}
+
+function isReplicable(action) {
+  return (
+    typeof action.type !== 'string' || action.type.indexOf('@@redux/') !== 0
+  )
+}
+
+/**
+ * Creates a store enhancer that keeps stores in several contexts (the main
+ * thread, workers, tabs or forked processes) in sync by replicating every
+ * dispatched action over a channel.
+ * 创建一个通过在通道上复制每个被分发的action, 使得多个上下文(主线程, workers, 标签页或者
+ * fork出的进程)中的store保持同步的store enhancer.
+ *
+ * The channel is a transport with `send(message)` and `listen(handler)`, such
+ * as `createMessagePortTransport(new BroadcastChannel(name))`,
+ * `createIpcTransport(process)` or one end of `createMemoryTransportPair()`.
+ * 通道是一个有着`send(message)`与`listen(handler)`的transport, 比如
+ * `createMessagePortTransport(new BroadcastChannel(name))`,
+ * `createIpcTransport(process)`或者`createMemoryTransportPair()`的一端.
+ *
+ * - Replicated actions reach the reducers of the other stores directly,
+ *   without passing through their middleware, so side effects run only where
+ *   the action was first dispatched. They carry `meta.replicatedFrom`, and are
+ *   never sent again, so nothing is echoed back.
+ * - Actions with `meta.local === true` are not replicated.
+ * - A context starts as a follower. Once the election timeout has passed, the
+ *   connected context with the lowest id, which is the oldest one, is the
+ *   leader. Use `store.sync.isLeader()` and `store.sync.subscribeLeadership()`
+ *   to run side effects only once.
+ * - When a context joins, the leader sends it a snapshot of its state.
+ * - 被复制的actions直接到达其他store的reducers, 不经过它们的中间件, 所以副作用只会在
+ *   action最初被分发的地方执行. 它们带有`meta.replicatedFrom`, 并且不会被再次发送,
+ *   所以不会产生回声.
+ * - 带有`meta.local === true`的actions不会被复制.
+ * - 上下文开始时是follower. 选举超时之后, 连接的上下文中id最小的(即最早的)是leader.
+ *   使用`store.sync.isLeader()`与`store.sync.subscribeLeadership()`使得副作用只执行
+ *   一次.
+ * - 当一个上下文加入时, leader会向它发送自己state的快照.
+ *
+ * @param {Object} options
+ * @param {Object} options.channel The transport to replicate over.
+ * 用于复制的transport
+ * @param {number} [options.heartbeatInterval] How often, in milliseconds, a
+ * context announces it is alive. Contexts silent for three intervals are
+ * considered gone. Defaults to 1000.
+ * 上下文宣告自己存活的间隔(毫秒). 三个间隔内没有消息的上下文被认为已经离开. 默认为1000.
+ * @param {number} [options.electionTimeout] How long, in milliseconds, a new
+ * context waits for the others to answer before it can become the leader.
+ * Defaults to twice the heartbeat interval.
+ * 新的上下文在可以成为leader之前等待其他上下文回应的时间(毫秒), 默认为心跳间隔的两倍.
+ *
+ * @returns {Function} A store enhancer. The store gets a `sync` object with
+ * `id`, `isLeader()`, `getPeers()`, `subscribeLeadership(listener)` and
+ * `close()`.
+ * 一个store enhancer. store会拥有一个`sync`对象, 它有着`id`, `isLeader()`,
+ * `getPeers()`, `subscribeLeadership(listener)`与`close()`.
+ */
+export default function syncState(options = {}) {
+  const {
+    channel,
+    heartbeatInterval = 1000,
+    electionTimeout = heartbeatInterval * 2
+  } = options
+
+  if (
+    !channel ||
+    typeof channel.send !== 'function' ||
+    typeof channel.listen !== 'function'
+  ) {
+    throw new Error(
+      'Expected the channel to be an object with send and listen methods.'
+    )
+  }
+
+  if (typeof heartbeatInterval !== 'number' || !(heartbeatInterval > 0)) {
+    throw new Error('Expected the heartbeatInterval to be a positive number.')
+  }
+
+  if (typeof electionTimeout !== 'number' || !(electionTimeout >= 0)) {
+    throw new Error('Expected the electionTimeout to be a non-negative number.')
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    const id = createId()
+    let currentReducer = reducer
+    let peers = {}
+    let wasLeader = false
+    // 在选举超时之前其他上下文可能还没有回应, 所以总是follower
+    let isElecting = true
+    let hasSnapshot = false
+    let isClosed = false
+    let leadershipListeners = []
+
+    function send(message) {
+      if (isClosed) {
+        return
+      }
+
+      try {
+        channel.send({ ...message, source: id })
+      } catch (error) {
+        warning(`Failed to send a sync message: ${error}`)
+      }
+    }
+
+    // 在reduce之后才发送, 而不是在reducer中
+    const outbox = createOutbox(action => send({ type: 'ACTION', action }))
+
+    function liftedReducer(state, action) {
+      if (action.type === SET_STATE) {
+        return action.state
+      }
+
+      const nextState = currentReducer(state, action)
+      const meta = action.meta || {}
+      if (isReplicable(action) && !meta.replicatedFrom && meta.local !== true) {
+        outbox.push(action)
+      }
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+    const { dispatch, detach } = outbox.attach(store)
+
+    function isLeader() {
+      return !isElecting && Object.keys(peers).every(peerId => id < peerId)
+    }
+
+    function updateLeadership() {
+      const leader = isLeader()
+      if (leader !== wasLeader) {
+        wasLeader = leader
+        leadershipListeners.forEach(listener => listener(leader))
+      }
+    }
+
+    // 收到某个上下文的消息时, 说明它仍然存活
+    function touchPeer(peerId) {
+      const isNew = !peers.hasOwnProperty(peerId)
+      peers[peerId] = Date.now()
+      if (isNew) {
+        updateLeadership()
+      }
+      return isNew
+    }
+
+    const handlers = {
+      HELLO(message) {
+        touchPeer(message.source)
+
+        // leader向新加入的上下文发送快照
+        if (isLeader()) {
+          send({ type: 'SNAPSHOT', to: message.source, state: store.getState() })
+        }
+        send({ type: 'HEARTBEAT' })
+      },
+      HEARTBEAT(message) {
+        touchPeer(message.source)
+      },
+      BYE(message) {
+        delete peers[message.source]
+        updateLeadership()
+      },
+      SNAPSHOT(message) {
+        touchPeer(message.source)
+        if (message.to === id && !hasSnapshot) {
+          hasSnapshot = true
+          store.dispatch({ type: SET_STATE, state: message.state })
+        }
+      },
+      ACTION(message) {
+        touchPeer(message.source)
+        const { action } = message
+        store.dispatch({
+          ...action,
+          meta: { ...action.meta, replicatedFrom: message.source }
+        })
+      }
+    }
+
+    const unlisten = channel.listen(message => {
+      if (!message || message.source === id || isClosed) {
+        return
+      }
+
+      const handler = handlers[message.type]
+      if (handler) {
+        handler(message)
+      }
+    })
+
+    // 定期发送心跳, 并移除长时间没有消息的上下文
+    const timer = setInterval(() => {
+      const now = Date.now()
+      Object.keys(peers).forEach(peerId => {
+        if (now - peers[peerId] > heartbeatInterval * 3) {
+          delete peers[peerId]
+        }
+      })
+      updateLeadership()
+      send({ type: 'HEARTBEAT' })
+    }, heartbeatInterval)
+
+    const electionTimer = setTimeout(() => {
+      isElecting = false
+      updateLeadership()
+    }, electionTimeout)
+
+    // 在Node中不要因为心跳与选举而阻止进程退出
+    ;[timer, electionTimer].forEach(t => {
+      if (t && typeof t.unref === 'function') {
+        t.unref()
+      }
+    })
+
+    send({ type: 'HELLO' })
+
+    const sync = {
+      id,
+      isLeader,
+      getPeers: () => Object.keys(peers),
+      subscribeLeadership(listener) {
+        if (typeof listener !== 'function') {
+          throw new Error('Expected the listener to be a function.')
+        }
+
+        leadershipListeners = leadershipListeners.concat(listener)
+        return function unsubscribe() {
+          leadershipListeners = leadershipListeners.filter(l => l !== listener)
+        }
+      },
+      close() {
+        if (isClosed) {
+          return
+        }
+
+        send({ type: 'BYE' })
+        isClosed = true
+        clearInterval(timer)
+        clearTimeout(electionTimer)
+        detach()
+        unlisten()
+      }
+    }
+
+    return {
+      ...store,
+      dispatch,
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        currentReducer = nextReducer
+        store.replaceReducer(liftedReducer)
+      },
+      sync
+    }
+  }
+}
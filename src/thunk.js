@@ -0,0 +1,33 @@
+// 内置的thunk中间件, 使得可以分发函数作为异步action
+
+/**
+ * Creates a middleware that lets you dispatch functions ("thunks") in addition
+ * to plain object actions. A thunk is called with `(dispatch, getState,
+ * extraArgument)` and whatever it returns is returned from `dispatch()`.
+ * 创建一个除了普通对象(plain object)的actions之外, 还允许你分发函数(thunks)的中间件.
+ * thunk将会以`(dispatch, getState, extraArgument)`被调用, 它的返回值将作为
+ * `dispatch()`的返回值.
+ *
+ * @param {any} [extraArgument] A value passed as the third argument to every
+ * thunk, handy for injecting an API client or other services.
+ * 作为第三个参数传递给每个thunk的值, 便于注入API客户端或其他服务.
+ *
+ * @returns {Function} A Redux middleware.
+ * 一个Redux中间件
+ */
+export function createThunkMiddleware(extraArgument) {
+  return ({ dispatch, getState }) => next => action => {
+
+    // 函数类型的action直接调用, 不再传递给下一个中间件
+    if (typeof action === 'function') {
+      return action(dispatch, getState, extraArgument)
+    }
+
+    return next(action)
+  }
+}
+
+const thunk = createThunkMiddleware()
+thunk.withExtraArgument = createThunkMiddleware
+
+export default thunk
@@ -0,0 +1,184 @@
+// 时间旅行(time travel) store enhancer, 记录每个action与其产生的state, 提供撤销/重做/跳转
+
+import ActionTypes from './utils/actionTypes'
+import validateNextReducer from './utils/validateNextReducer'
+
+const JUMP_TO_STATE = '@@redux/history/JUMP_TO_STATE'
+
+/**
+ * Creates a store enhancer that records every dispatched action together with
+ * the state it produced, and exposes `store.history` to move through them.
+ * 创建一个记录每个被分发的action以及它所产生的state的store enhancer, 并且暴露
+ * `store.history`用于在记录之间移动.
+ *
+ * `store.history` has the following methods:
+ * `store.history`有以下方法:
+ *
+ * - `undo()` / `redo()` move one entry back or forward.
+ * - `jumpTo(index)` moves to any recorded entry.
+ * - `skip(index)` toggles an entry off (or back on) and recomputes the later states.
+ * - `reset()` drops every entry and goes back to the initial state.
+ * - `canUndo()`, `canRedo()`, `getIndex()` and `getEntries()` inspect the history.
+ * - `undo()` / `redo()` 向前或向后移动一条记录.
+ * - `jumpTo(index)` 移动到任意一条记录.
+ * - `skip(index)` 跳过(或恢复)一条记录, 并重新计算之后的state.
+ * - `reset()` 丢弃所有记录, 回到初始state.
+ * - `canUndo()`, `canRedo()`, `getIndex()`与`getEntries()`用于查看历史.
+ *
+ * Dispatching a new action after an undo discards the entries that could have
+ * been redone. Calling `replaceReducer()` recomputes every recorded state
+ * against the new reducer.
+ * 在撤销之后分发一个新的action会丢弃可以重做的记录. 调用`replaceReducer()`会使用新的
+ * reducer重新计算所有记录的state.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] The maximum number of entries to keep.
+ * Older entries are folded into the initial state. Defaults to no limit.
+ * 保留的记录的最大数量. 更早的记录会被合并进初始state. 默认没有限制.
+ * @param {Function} [options.filter] `filter(action, nextState, prevState)`
+ * decides whether an action gets its own entry. Filtered actions still update
+ * the state, but are folded into the current entry and cannot be undone on
+ * their own.
+ * `filter(action, nextState, prevState)`决定一个action是否拥有单独的记录. 被过滤的
+ * actions仍然会更新state, 但是会被合并进当前的记录, 无法被单独撤销.
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function timeTravel(options = {}) {
+  const { maxLength = Infinity, filter } = options
+
+  if (typeof maxLength !== 'number' || !(maxLength >= 1)) {
+    throw new Error('Expected the maxLength to be a number greater than 0.')
+  }
+
+  if (typeof filter !== 'undefined' && typeof filter !== 'function') {
+    throw new Error('Expected the filter to be a function.')
+  }
+
+  return createStore => (reducer, preloadedState, enhancer) => {
+    let currentReducer = reducer
+    let baseState = preloadedState
+    let entries = []
+    let currentIndex = -1
+
+    // 从index开始, 使用当前的reducer重新计算每条记录的state
+    function recompute(index) {
+      let state = index > 0 ? entries[index - 1].state : baseState
+      for (let i = index; i < entries.length; i++) {
+        const entry = entries[i]
+        if (!entry.skipped) {
+          state = entry.actions.reduce(currentReducer, state)
+        }
+        entry.state = state
+      }
+    }
+
+    function record(action, nextState, prevState) {
+
+      // 在撤销之后产生新的state, 可以重做的记录已经失效
+      entries = entries.slice(0, currentIndex + 1)
+
+      if (entries.length > 0 && filter && !filter(action, nextState, prevState)) {
+        const entry = entries[currentIndex]
+        entry.actions.push(action)
+        entry.state = nextState
+        return
+      }
+
+      entries.push({ actions: [action], state: nextState, skipped: false })
+      currentIndex = entries.length - 1
+
+      // 超出最大长度时, 将最早的记录合并进初始state
+      if (entries.length > maxLength) {
+        baseState = entries[0].state
+        entries.shift()
+        currentIndex--
+      }
+    }
+
+    // 每个被reduce的action都进入历史, 包括中间件分发的actions, 这样跳转与跳过时重新
+    // 计算的state与实际的一致
+    function liftedReducer(state, action) {
+      if (action.type === JUMP_TO_STATE) {
+        return action.state
+      }
+
+      const nextState = currentReducer(state, action)
+      record(action, nextState, state)
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+
+    // 将store的state替换为记录中的state, 并通知listeners
+    function jumpTo(index) {
+      if (typeof index !== 'number' || !(index >= 0 && index < entries.length)) {
+        throw new Error(
+          `Expected the history index to be between 0 and ${entries.length - 1}.`
+        )
+      }
+
+      currentIndex = index
+      store.dispatch({ type: JUMP_TO_STATE, state: entries[index].state })
+    }
+
+    function skip(index) {
+      if (typeof index !== 'number' || !(index > 0 && index < entries.length)) {
+        throw new Error(
+          `Expected the history index to be between 1 and ${entries.length - 1}.`
+        )
+      }
+
+      entries[index].skipped = !entries[index].skipped
+      recompute(index)
+      jumpTo(currentIndex)
+    }
+
+    function reset() {
+      baseState = preloadedState
+      entries = [{ actions: [{ type: ActionTypes.INIT }], state: undefined, skipped: false }]
+      recompute(0)
+      jumpTo(0)
+    }
+
+    function replaceReducer(nextReducer) {
+      validateNextReducer(nextReducer)
+
+      currentReducer = nextReducer
+      recompute(0)
+      jumpTo(currentIndex)
+    }
+
+    const history = {
+      undo() {
+        if (currentIndex > 0) {
+          jumpTo(currentIndex - 1)
+        }
+      },
+      redo() {
+        if (currentIndex < entries.length - 1) {
+          jumpTo(currentIndex + 1)
+        }
+      },
+      jumpTo,
+      skip,
+      reset,
+      canUndo: () => currentIndex > 0,
+      canRedo: () => currentIndex < entries.length - 1,
+      getIndex: () => currentIndex,
+      getEntries: () =>
+        entries.map(({ actions, state, skipped }) => ({
+          actions: actions.slice(),
+          state,
+          skipped
+        }))
+    }
+
+    return {
+      ...store,
+      replaceReducer,
+      history
+    }
+  }
+}
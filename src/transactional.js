@@ -0,0 +1,173 @@
+// 支持乐观更新的事务store enhancer: 事务中的actions立即生效, 可以提交或者撤销
+
+import validateNextReducer from './utils/validateNextReducer'
+
+const SET_STATE = '@@redux/transaction/SET_STATE'
+
+function getTransactionId(action) {
+  const id = action.meta ? action.meta.transaction : undefined
+  return id === null ? undefined : id
+}
+
+function belongsTo(transaction, id) {
+  return (
+    typeof transaction !== 'undefined' && String(transaction) === String(id)
+  )
+}
+
+/**
+ * Creates a store enhancer for optimistic updates. Actions tagged with a
+ * transaction id in `meta.transaction` are applied right away, and the
+ * transaction is later either committed, which keeps them, or reverted, which
+ * undoes them without any hand-written inverse action.
+ * 创建一个用于乐观更新的store enhancer. 在`meta.transaction`中带有事务id的actions会被
+ * 立即应用, 之后事务要么被提交(保留这些actions), 要么被撤销(撤销这些actions, 而不需要
+ * 手写相反的action).
+ *
+ * The store gets these methods:
+ * store会拥有以下方法:
+ *
+ * - `beginTransaction(id)` opens a transaction. Dispatching an action tagged
+ *   with an id that is not open also opens it.
+ * - `commit(id)` keeps the actions of the transaction.
+ * - `revert(id)` drops the actions of the transaction. The state is recomputed
+ *   from the last committed state by replaying the remaining actions through
+ *   the current reducer, so actions dispatched meanwhile are kept.
+ * - `getOpenTransactions()` returns the ids of the open transactions.
+ * - `beginTransaction(id)`开启一个事务. 分发一个带有未开启的事务id的action也会开启它.
+ * - `commit(id)`保留该事务的actions.
+ * - `revert(id)`丢弃该事务的actions. state会从最后提交的state开始, 使用当前的reducer
+ *   重放剩下的actions来重新计算, 所以期间分发的其他actions会被保留.
+ * - `getOpenTransactions()`返回开启中的事务的id.
+ *
+ * Transactions may overlap. While any of them is open, every action is kept
+ * so that it can be replayed; reducers should therefore stay pure.
+ * 事务可以相互重叠. 当任何一个事务开启时, 所有actions都会被保留以便重放, 因此
+ * reducers应当保持纯净.
+ *
+ * @returns {Function} A store enhancer.
+ * 一个store enhancer
+ */
+export default function transactional() {
+  return createStore => (reducer, preloadedState, enhancer) => {
+    let currentReducer = reducer
+    let committedState = preloadedState
+    let openTransactions = {}
+
+    // 最后提交的state之后的actions, 每项为{ action, transaction }
+    let pendingActions = []
+
+    function isOpen(id) {
+      return (
+        typeof id !== 'undefined' && openTransactions.hasOwnProperty(String(id))
+      )
+    }
+
+    function hasOpenTransactions() {
+      return Object.keys(openTransactions).length > 0
+    }
+
+    function open(id) {
+      if (typeof id === 'undefined' || id === null) {
+        throw new Error('Expected the transaction id to be defined.')
+      }
+      openTransactions[String(id)] = true
+    }
+
+    // 事务开启期间保留每个被reduce的action, 撤销时以当前的reducer重放剩下的actions
+    function liftedReducer(state, action) {
+      if (action.type === SET_STATE) {
+        return action.state
+      }
+
+      const transaction = getTransactionId(action)
+      if (typeof transaction !== 'undefined' && !isOpen(transaction)) {
+        open(transaction)
+      }
+
+      const nextState = currentReducer(state, action)
+      if (hasOpenTransactions()) {
+        pendingActions.push({ action, transaction })
+      } else {
+        committedState = nextState
+      }
+      return nextState
+    }
+
+    const store = createStore(liftedReducer, preloadedState, enhancer)
+
+    // 将开头不属于开启中的事务的actions合并进最后提交的state
+    function settle() {
+      if (!hasOpenTransactions()) {
+        committedState = store.getState()
+        pendingActions = []
+        return
+      }
+
+      let index = 0
+      while (
+        index < pendingActions.length &&
+        !isOpen(pendingActions[index].transaction)
+      ) {
+        committedState = currentReducer(
+          committedState,
+          pendingActions[index].action
+        )
+        index++
+      }
+      pendingActions = pendingActions.slice(index)
+    }
+
+    function assertOpen(id, method) {
+      if (!isOpen(id)) {
+        throw new Error(
+          `Cannot ${method} the transaction "${String(id)}" because it is ` +
+            `not open.`
+        )
+      }
+    }
+
+    function beginTransaction(id) {
+      if (isOpen(id)) {
+        throw new Error(`The transaction "${String(id)}" is already open.`)
+      }
+
+      open(id)
+    }
+
+    function commit(id) {
+      assertOpen(id, 'commit')
+      delete openTransactions[String(id)]
+      settle()
+    }
+
+    function revert(id) {
+      assertOpen(id, 'revert')
+      delete openTransactions[String(id)]
+      pendingActions = pendingActions.filter(
+        ({ transaction }) => !belongsTo(transaction, id)
+      )
+
+      const state = pendingActions.reduce(
+        (current, { action }) => currentReducer(current, action),
+        committedState
+      )
+      store.dispatch({ type: SET_STATE, state })
+      settle()
+    }
+
+    return {
+      ...store,
+      replaceReducer(nextReducer) {
+        validateNextReducer(nextReducer)
+
+        currentReducer = nextReducer
+        store.replaceReducer(liftedReducer)
+      },
+      beginTransaction,
+      commit,
+      revert,
+      getOpenTransactions: () => Object.keys(openTransactions)
+    }
+  }
+}
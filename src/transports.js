@@ -0,0 +1,169 @@
+// 可插拔的transport, 用于在store与外部(devtools, 其他上下文)之间传递消息
+// 一个transport是有着send(message)与listen(handler)方法的对象, listen返回取消监听的函数
+
+import warning from './utils/warning'
+
+function createListenerList() {
+  let listeners = []
+
+  return {
+    add(listener) {
+      if (typeof listener !== 'function') {
+        throw new Error('Expected the listener to be a function.')
+      }
+
+      listeners = listeners.concat(listener)
+      return function unlisten() {
+        listeners = listeners.filter(l => l !== listener)
+      }
+    },
+    emit(message) {
+      listeners.forEach(listener => listener(message))
+    }
+  }
+}
+
+/**
+ * Creates two connected in-memory transports: a message sent on one is
+ * received by the listeners of the other. Messages are delivered
+ * asynchronously, like they would be over a real channel. Handy for tests.
+ * 创建两个相连的内存transport: 从一个发送的消息会被另一个的listeners接收. 与真实的通道
+ * 一样, 消息是异步传递的. 在测试中非常方便.
+ *
+ * @returns {Array} A pair of transports.
+ * 一对transport
+ */
+export function createMemoryTransportPair() {
+  const listeners = [createListenerList(), createListenerList()]
+
+  function createEnd(index) {
+    return {
+      send(message) {
+        Promise.resolve().then(() => listeners[1 - index].emit(message))
+      },
+      listen: listeners[index].add
+    }
+  }
+
+  return [createEnd(0), createEnd(1)]
+}
+
+/**
+ * Creates a transport over a `MessagePort`, a `BroadcastChannel`, a `Worker`
+ * or anything else with `postMessage` and `addEventListener('message')`.
+ * 基于`MessagePort`, `BroadcastChannel`, `Worker`或者其他有着`postMessage`与
+ * `addEventListener('message')`的对象创建一个transport.
+ *
+ * @param {Object} port The port or channel.
+ * 端口或者通道
+ *
+ * @returns {Object} A transport.
+ * 一个transport
+ */
+export function createMessagePortTransport(port) {
+  if (
+    !port ||
+    typeof port.postMessage !== 'function' ||
+    typeof port.addEventListener !== 'function'
+  ) {
+    throw new Error(
+      'Expected the port to have postMessage and addEventListener methods.'
+    )
+  }
+
+  const listeners = createListenerList()
+  port.addEventListener('message', event => listeners.emit(event.data))
+
+  // MessagePort需要调用start()才会开始派发消息
+  if (typeof port.start === 'function') {
+    port.start()
+  }
+
+  return {
+    send(message) {
+      port.postMessage(message)
+    },
+    listen: listeners.add
+  }
+}
+
+/**
+ * Creates a transport over a Node IPC channel, such as `process` in a forked
+ * child or the `ChildProcess` returned by `fork()`.
+ * 基于Node的IPC通道创建一个transport, 比如fork出的子进程中的`process`, 或者`fork()`
+ * 返回的`ChildProcess`.
+ *
+ * @param {Object} channel An object with `send` and `on('message')`.
+ * 一个有着`send`与`on('message')`的对象
+ *
+ * @returns {Object} A transport.
+ * 一个transport
+ */
+export function createIpcTransport(channel) {
+  if (
+    !channel ||
+    typeof channel.send !== 'function' ||
+    typeof channel.on !== 'function'
+  ) {
+    throw new Error('Expected the channel to have send and on methods.')
+  }
+
+  const listeners = createListenerList()
+  channel.on('message', message => listeners.emit(message))
+
+  return {
+    send(message) {
+      channel.send(message)
+    },
+    listen: listeners.add
+  }
+}
+
+/**
+ * Creates a transport over a connected WebSocket, either a browser `WebSocket`
+ * or a socket from a Node WebSocket server. Messages are sent as JSON.
+ * Received messages that are not valid JSON are ignored with a warning.
+ * 基于已连接的WebSocket创建一个transport, 可以是浏览器的`WebSocket`, 也可以是Node
+ * WebSocket服务器中的socket. 消息以JSON的形式发送. 接收到的不是有效JSON的消息会被
+ * 忽略, 并打印一个警告.
+ *
+ * @param {Object} socket The WebSocket.
+ * WebSocket
+ *
+ * @returns {Object} A transport.
+ * 一个transport
+ */
+export function createWebSocketTransport(socket) {
+  if (!socket || typeof socket.send !== 'function') {
+    throw new Error('Expected the socket to have a send method.')
+  }
+
+  const listeners = createListenerList()
+  const handleMessage = data => {
+    const text = data && typeof data.data !== 'undefined' ? data.data : data
+    let message
+    try {
+      message = JSON.parse(String(text))
+    } catch (error) {
+      warning(`Ignored a WebSocket message that is not valid JSON: ${error}`)
+      return
+    }
+    listeners.emit(message)
+  }
+
+  // 浏览器的WebSocket使用addEventListener, Node中的socket通常使用on
+  if (typeof socket.addEventListener === 'function') {
+    socket.addEventListener('message', handleMessage)
+  } else if (typeof socket.on === 'function') {
+    socket.on('message', handleMessage)
+  } else {
+    throw new Error('Expected the socket to have an addEventListener or on method.')
+  }
+
+  return {
+    send(message) {
+      socket.send(JSON.stringify(message))
+    },
+    listen: listeners.add
+  }
+}
@@ -0,0 +1,39 @@
+import isPlainObject from './isPlainObject'
+
+/**
+ * Serializes a JSON-compatible value with the keys of plain objects sorted,
+ * so that equal values always give the same string.
+ *
+ * @param {any} value The value to serialize.
+ * @returns {string} The JSON string, or `'undefined'`.
+ */
+export function stableStringify(value) {
+  const json = JSON.stringify(value, (key, current) =>
+    isPlainObject(current)
+      ? Object.keys(current)
+          .sort()
+          .reduce((sorted, k) => {
+            sorted[k] = current[k]
+            return sorted
+          }, {})
+      : current
+  )
+  return typeof json === 'undefined' ? 'undefined' : json
+}
+
+/**
+ * Computes a short checksum of a JSON-compatible value. Plain objects that
+ * only differ in key order get the same checksum.
+ *
+ * @param {any} value The value to hash.
+ * @returns {string} The 32-bit FNV-1a hash of the value, as 8 hex digits.
+ */
+export default function checksum(value) {
+  const string = stableStringify(value)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < string.length; i++) {
+    hash ^= string.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
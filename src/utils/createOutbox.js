@@ -0,0 +1,46 @@
+/**
+ * Creates a queue for store enhancers that report every reduced action (to
+ * devtools, other contexts, ...) without side effects in their reducer. The
+ * lifted reducer only calls `push(item)`, and `deliver(item)` is called later,
+ * in the order the items were pushed.
+ *
+ * `attach(store)` delivers the queue whenever the store's `action$` emits,
+ * which is after the listeners, and also includes the actions dispatched by
+ * middleware. It returns `{ dispatch, detach }`, where `dispatch` wraps
+ * `store.dispatch`.
+ *
+ * @param {Function} deliver Called with each item.
+ * @returns {Object} The queue, with `push(item)` and `attach(store)`.
+ */
+export default function createOutbox(deliver) {
+  let items = []
+
+  // 一次交付所有等待的项目, 使得在listeners中分发的action不会先于外层的action被交付
+  function flush() {
+    const delivered = items
+    items = []
+    delivered.forEach(item => deliver(item))
+  }
+
+  function attach(store) {
+    const subscription = store.action$.subscribe(flush)
+
+    // listener抛出错误时action$不会发出, 在错误离开dispatch之前交付
+    function dispatch(...args) {
+      try {
+        return store.dispatch(...args)
+      } finally {
+        flush()
+      }
+    }
+
+    return { dispatch, detach: () => subscription.unsubscribe() }
+  }
+
+  return {
+    push(item) {
+      items.push(item)
+    },
+    attach
+  }
+}
@@ -0,0 +1,35 @@
+import isPlainObject from './isPlainObject'
+
+/**
+ * Lists the paths that differ between two state trees. Subtrees that keep the
+ * same reference are skipped, so unchanged slices cost nothing to compare.
+ *
+ * @param {any} prevState The previous state.
+ * @param {any} nextState The next state.
+ * @param {string} [path] The path of the compared values, used when recursing.
+ * @returns {Array} The changes, each `{ path, prev, next }`. Added and removed
+ * keys have `undefined` as their `prev` and `next`.
+ */
+export default function diffState(prevState, nextState, path = '') {
+  if (prevState === nextState) {
+    return []
+  }
+
+  const bothObjects =
+    (isPlainObject(prevState) && isPlainObject(nextState)) ||
+    (Array.isArray(prevState) && Array.isArray(nextState))
+  if (!bothObjects) {
+    return [{ path, prev: prevState, next: nextState }]
+  }
+
+  const keys = Object.keys(prevState).concat(
+    Object.keys(nextState).filter(key => !prevState.hasOwnProperty(key))
+  )
+  return keys.reduce(
+    (changes, key) =>
+      changes.concat(
+        diffState(prevState[key], nextState[key], path ? `${path}.${key}` : key)
+      ),
+    []
+  )
+}
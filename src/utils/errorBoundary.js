@@ -0,0 +1,23 @@
+// The error boundary of the store whose reducer is currently running, if that
+// store isolates errors. combineReducers reports the errors of its slice
+// reducers to it instead of throwing.
+let activeErrorBoundary = null
+
+/**
+ * @returns {Object|null} The active error boundary, with a
+ * `report(error, info)` method, or null.
+ */
+export function getActiveErrorBoundary() {
+  return activeErrorBoundary
+}
+
+/**
+ * @param {Object|null} errorBoundary The error boundary to activate.
+ * @returns {Object|null} The previously active error boundary, to restore
+ * later.
+ */
+export function setActiveErrorBoundary(errorBoundary) {
+  const previous = activeErrorBoundary
+  activeErrorBoundary = errorBoundary
+  return previous
+}
@@ -0,0 +1,11 @@
+/**
+ * @param {any} value The value to inspect.
+ * @returns {boolean} True if the argument appears to be a Promise (thenable).
+ */
+export default function isPromise(value) {
+  return (
+    !!value &&
+    (typeof value === 'object' || typeof value === 'function') &&
+    typeof value.then === 'function'
+  )
+}
@@ -0,0 +1,10 @@
+/**
+ * @returns {number} A timestamp in milliseconds, from a high-resolution clock
+ * when one is available.
+ */
+export default function now() {
+  return typeof performance !== 'undefined' &&
+    typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now()
+}
@@ -0,0 +1,265 @@
+import $$observable from 'symbol-observable'
+
+const $$asyncIterator =
+  (typeof Symbol === 'function' && Symbol.asyncIterator) || '@@asyncIterator'
+
+// 将一个observable的值经过handleNext处理后传递给下游, handleNext抛出的错误交给error
+function operate(source, handleNext) {
+  return createObservable(observer => {
+    const subscription = source.subscribe({
+      next(value) {
+        try {
+          handleNext(observer, value)
+        } catch (error) {
+          observer.error(error)
+        }
+      },
+      error: error => observer.error(error),
+      complete: () => observer.complete()
+    })
+    return () => subscription.unsubscribe()
+  })
+}
+
+// 在迭代者读取之前, 值会被缓存在队列中
+function toAsyncIterator(observable) {
+  let queue = []
+  let waiting = []
+  let done = false
+  let failure = null
+
+  function settle() {
+    while (waiting.length > 0) {
+      const { resolve, reject } = waiting[0]
+      if (queue.length > 0) {
+        resolve({ value: queue.shift(), done: false })
+      } else if (failure) {
+        reject(failure.error)
+        failure = null
+        done = true
+      } else if (done) {
+        resolve({ value: undefined, done: true })
+      } else {
+        return
+      }
+      waiting.shift()
+    }
+  }
+
+  const subscription = observable.subscribe({
+    next(value) {
+      queue.push(value)
+      settle()
+    },
+    error(error) {
+      failure = { error }
+      settle()
+    },
+    complete() {
+      done = true
+      settle()
+    }
+  })
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject })
+        settle()
+      })
+    },
+    return() {
+      subscription.unsubscribe()
+      queue = []
+      done = true
+      settle()
+      return Promise.resolve({ value: undefined, done: true })
+    },
+    [$$asyncIterator]() {
+      return this
+    }
+  }
+}
+
+/**
+ * Creates an observable following the TC39 proposal. `producer(observer)` is
+ * called for every subscription and may return a teardown function, which
+ * runs when the subscription is unsubscribed, errors or completes.
+ *
+ * Subscribing accepts an observer object or `next`, `error` and `complete`
+ * callbacks. An error with no `error` handler is rethrown. The observable also
+ * has the `map`, `filter`, `distinctUntilChanged`, `select` and `take`
+ * operators, and can be consumed with `for await`.
+ *
+ * @param {Function} producer Starts emitting values to the given observer.
+ * @returns {Object} The observable.
+ */
+export default function createObservable(producer) {
+  const observable = {
+    subscribe(observerOrNext, error, complete) {
+      const observer =
+        typeof observerOrNext === 'function'
+          ? { next: observerOrNext, error, complete }
+          : observerOrNext
+
+      if (typeof observer !== 'object' || observer === null) {
+        throw new TypeError('Expected the observer to be an object.')
+      }
+
+      let closed = false
+      let teardown
+
+      function close() {
+        closed = true
+        if (teardown) {
+          const cleanup = teardown
+          teardown = undefined
+          cleanup()
+        }
+      }
+
+      const subscriber = {
+        next(value) {
+          if (!closed && observer.next) {
+            observer.next(value)
+          }
+        },
+        error(err) {
+          if (closed) {
+            return
+          }
+          close()
+          if (!observer.error) {
+            throw err
+          }
+          observer.error(err)
+        },
+        complete() {
+          if (closed) {
+            return
+          }
+          close()
+          if (observer.complete) {
+            observer.complete()
+          }
+        }
+      }
+
+      // producer可能同步地结束订阅, 这时需要立即执行它返回的teardown
+      const cleanup = producer(subscriber)
+      if (typeof cleanup === 'function') {
+        if (closed) {
+          cleanup()
+        } else {
+          teardown = cleanup
+        }
+      }
+
+      return {
+        unsubscribe() {
+          if (!closed) {
+            close()
+          }
+        },
+        get closed() {
+          return closed
+        }
+      }
+    },
+
+    map(fn) {
+      return operate(observable, (observer, value) => observer.next(fn(value)))
+    },
+
+    filter(predicate) {
+      return operate(observable, (observer, value) => {
+        if (predicate(value)) {
+          observer.next(value)
+        }
+      })
+    },
+
+    distinctUntilChanged(equalityFn = (a, b) => a === b) {
+      return createObservable(observer => {
+        let hasValue = false
+        let lastValue
+        return operate(observable, (downstream, value) => {
+          if (hasValue && equalityFn(lastValue, value)) {
+            return
+          }
+          hasValue = true
+          lastValue = value
+          downstream.next(value)
+        }).subscribe(observer).unsubscribe
+      })
+    },
+
+    select(selector, equalityFn) {
+      return observable.map(selector).distinctUntilChanged(equalityFn)
+    },
+
+    take(count) {
+      return createObservable(observer => {
+        let seen = 0
+        if (count <= 0) {
+          observer.complete()
+          return
+        }
+        return operate(observable, (downstream, value) => {
+          seen++
+          downstream.next(value)
+          if (seen >= count) {
+            downstream.complete()
+          }
+        }).subscribe(observer).unsubscribe
+      })
+    },
+
+    [$$observable]() {
+      return this
+    },
+
+    [$$asyncIterator]() {
+      return toAsyncIterator(observable)
+    }
+  }
+
+  return observable
+}
+
+/**
+ * Creates an observable of the state of a store. It emits the current state on
+ * subscription, then the new state whenever its reference changes. An error
+ * thrown by `next` is passed to `error`, which ends the subscription.
+ *
+ * @param {Function} getState Returns the current state.
+ * @param {Function} subscribe Adds a change listener, and returns a function
+ * that removes it.
+ * @returns {Object} The observable.
+ */
+export function observeState(getState, subscribe) {
+  return createObservable(observer => {
+    // 与operate一样, next抛出的错误交给error, 并结束这个订阅
+    function emit(state) {
+      try {
+        observer.next(state)
+      } catch (error) {
+        observer.error(error)
+      }
+    }
+
+    let lastState = getState()
+    emit(lastState)
+
+    // 只有当state的引用改变时才发出
+    return subscribe(() => {
+      const state = getState()
+      if (state !== lastState) {
+        lastState = state
+        emit(state)
+      }
+    })
+  })
+}
+
+export { $$asyncIterator }
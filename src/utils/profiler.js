@@ -0,0 +1,21 @@
+// The profiler of the store whose reducer is currently running, if that store
+// is being profiled. combineReducers reports per-key timings to it.
+let activeProfiler = null
+
+/**
+ * @returns {Object|null} The active profiler, with `enter(key)` and
+ * `exit(key, duration)` methods, or null.
+ */
+export function getActiveProfiler() {
+  return activeProfiler
+}
+
+/**
+ * @param {Object|null} profiler The profiler to activate.
+ * @returns {Object|null} The previously active profiler, to restore later.
+ */
+export function setActiveProfiler(profiler) {
+  const previous = activeProfiler
+  activeProfiler = profiler
+  return previous
+}
@@ -0,0 +1,12 @@
+/**
+ * Checks the reducer passed to `replaceReducer()`. Store enhancers that
+ * override `replaceReducer()` call it before lifting the new reducer.
+ *
+ * @param {any} nextReducer The reducer to check.
+ * @throws {Error} When the reducer is not a function.
+ */
+export default function validateNextReducer(nextReducer) {
+  if (typeof nextReducer !== 'function') {
+    throw new Error('Expected the nextReducer to be a function.')
+  }
+}
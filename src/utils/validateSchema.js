@@ -0,0 +1,120 @@
+import isPlainObject from './isPlainObject'
+
+function typeOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && Math.floor(value) === value
+    case 'number':
+      return typeof value === 'number' && isFinite(value)
+    case 'object':
+      return isPlainObject(value)
+    default:
+      return typeOf(value) === type
+  }
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value)
+}
+
+/**
+ * Validates a value against a small subset of JSON Schema: `type` (a type name
+ * or an array of them), `enum`, `const`, `properties`, `required`,
+ * `additionalProperties` (boolean), `items`, `minimum`, `maximum`,
+ * `minLength`, `maxLength`, `pattern`, `minItems` and `maxItems`.
+ *
+ * @param {any} value The value to validate.
+ * @param {Object} schema The schema.
+ * @param {string} [path] The path of the value, used in the error messages.
+ * @returns {Array} The errors, each `{ path, message }`. Empty if valid.
+ */
+export default function validateSchema(value, schema, path = '') {
+  const errors = []
+  const fail = message => errors.push({ path, message })
+
+  if (typeof schema.type !== 'undefined') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' or ')}, received ${typeOf(value)}`)
+      return errors
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(`expected one of ${schema.enum.map(describe).join(', ')}`)
+  }
+
+  if (schema.hasOwnProperty('const') && schema.const !== value) {
+    fail(`expected ${describe(schema.const)}`)
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      fail(`expected a number >= ${schema.minimum}`)
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      fail(`expected a number <= ${schema.maximum}`)
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (
+      typeof schema.minLength === 'number' &&
+      value.length < schema.minLength
+    ) {
+      fail(`expected at least ${schema.minLength} characters`)
+    }
+    if (
+      typeof schema.maxLength === 'number' &&
+      value.length > schema.maxLength
+    ) {
+      fail(`expected at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`expected to match ${schema.pattern}`)
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      fail(`expected at least ${schema.minItems} items`)
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      fail(`expected at most ${schema.maxItems} items`)
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${i}]`))
+      })
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {}
+    ;(schema.required || []).forEach(key => {
+      if (!value.hasOwnProperty(key)) {
+        errors.push({
+          path: path ? `${path}.${key}` : key,
+          message: 'is required'
+        })
+      }
+    })
+
+    Object.keys(value).forEach(key => {
+      const childPath = path ? `${path}.${key}` : key
+      if (properties.hasOwnProperty(key)) {
+        errors.push(...validateSchema(value[key], properties[key], childPath))
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: 'is not allowed' })
+      }
+    })
+  }
+
+  return errors
+}
@@ -0,0 +1,53 @@
+/**
+ * Calls `listener(nextValue, prevValue)` whenever the value picked from the
+ * state by `selector` changes according to `equalityFn`. The selector runs
+ * once per notification of `subscribe`.
+ *
+ * @param {Function} getState Returns the current state.
+ * @param {Function} subscribe Adds a change listener, and returns a function
+ * that removes it.
+ * @param {Function} selector Picks a value from the state.
+ * @param {Function} listener Called with the next and previous values.
+ * @param {Object} [options] `equalityFn(prevValue, nextValue)` decides whether
+ * two selected values are equal. Defaults to strict equality.
+ * @returns {Function} A function that removes the listener.
+ */
+export default function watchState(
+  getState,
+  subscribe,
+  selector,
+  listener,
+  options = {}
+) {
+  if (typeof selector !== 'function') {
+    throw new Error('Expected the selector to be a function.')
+  }
+
+  if (typeof listener !== 'function') {
+    throw new Error('Expected the listener to be a function.')
+  }
+
+  const { equalityFn = (a, b) => a === b } = options
+  if (typeof equalityFn !== 'function') {
+    throw new Error('Expected the equalityFn to be a function.')
+  }
+
+  let currentValue
+
+  // 每次通知只调用一次selector, 值未改变时不通知listener
+  function handleChange() {
+    const nextValue = selector(getState())
+    if (equalityFn(currentValue, nextValue)) {
+      return
+    }
+
+    const prevValue = currentValue
+    currentValue = nextValue
+    listener(nextValue, prevValue)
+  }
+
+  // 先订阅, 使得在dispatch时调用watch与subscribe抛出相同的错误
+  const unsubscribe = subscribe(handleChange)
+  currentValue = selector(getState())
+  return unsubscribe
+}